@@ -0,0 +1,55 @@
+// scripts/build-client.js
+import fs from 'fs';
+import path from 'path';
+import { transformFileSync } from '@babel/core';
+
+/**
+ * Builds the GUI's page: src/client goes to public/, which the GUI serves.
+ * Scripts stay ES modules, compiled down for every browser that can load
+ * those, and everything else is copied as is. public/ is wiped first, so
+ * it only ever holds what src/client makes.
+ */
+
+const SOURCE_DIR = path.join(__dirname, '../src/client');
+const BUILD_DIR = path.join(__dirname, '../public');
+
+// The project's .babelrc is for Node, the page gets its own settings
+const BABEL_OPTIONS = {
+  babelrc: false,
+  configFile: false,
+  presets: [
+    ['@babel/preset-env', { modules: false, targets: { esmodules: true }, bugfixes: true }],
+  ],
+};
+
+/**
+ * Build one folder, and the folders in it
+ *
+ * @param {String} from
+ * @param {String} to
+ * @returns {Number} Files written
+ */
+function buildDir(from, to) {
+  fs.mkdirSync(to, { recursive: true });
+
+  return fs.readdirSync(from, { withFileTypes: true }).reduce((count, entry) => {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+
+    if (entry.isDirectory()) {
+      return count + buildDir(source, target);
+    }
+    if (path.extname(entry.name) === '.js') {
+      fs.writeFileSync(target, transformFileSync(source, BABEL_OPTIONS).code);
+    } else {
+      fs.copyFileSync(source, target);
+    }
+    return count + 1;
+  }, 0);
+}
+
+fs.rmSync(BUILD_DIR, { recursive: true, force: true });
+const count = buildDir(SOURCE_DIR, BUILD_DIR);
+console.log(
+  `Built the GUI into ${path.relative(process.cwd(), BUILD_DIR) || '.'} (${count} files)`
+);
@@ -0,0 +1,54 @@
+// scripts/build-node.js
+import fs from 'fs';
+import path from 'path';
+import { transformFileSync } from '@babel/core';
+
+/**
+ * Compiles the app (src/, apart from the GUI's page in src/client) into
+ * dist/, which is what `npm start`, the GUI and the groupme-dl binary run.
+ * Uses the project's .babelrc. dist/ is wiped first, so it only ever holds
+ * what src/ makes.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT_DIR, 'src');
+const BUILD_DIR = path.join(ROOT_DIR, 'dist');
+const SKIPPED_DIRS = [path.join(SOURCE_DIR, 'client')];
+
+/**
+ * Build one folder, and the folders in it
+ *
+ * @param {String} from
+ * @param {String} to
+ * @returns {Number} Files written
+ */
+function buildDir(from, to) {
+  fs.mkdirSync(to, { recursive: true });
+
+  return fs.readdirSync(from, { withFileTypes: true }).reduce((count, entry) => {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+
+    if (entry.isDirectory()) {
+      return SKIPPED_DIRS.includes(source) ? count : count + buildDir(source, target);
+    }
+    if (path.extname(entry.name) !== '.js') {
+      fs.copyFileSync(source, target);
+      return count + 1;
+    }
+
+    const { code } = transformFileSync(source, { cwd: ROOT_DIR });
+    fs.writeFileSync(target, code);
+    // Scripts with a #! line are run directly, e.g. the groupme-dl binary
+    if (code.startsWith('#!')) {
+      fs.chmodSync(target, 0o755);
+    }
+    return count + 1;
+  }, 0);
+}
+
+fs.rmSync(BUILD_DIR, { recursive: true, force: true });
+const count = buildDir(SOURCE_DIR, BUILD_DIR);
+console.log(
+  `Built the app into ${path.relative(process.cwd(), BUILD_DIR) || '.'} (${count} files)`
+);
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import db from './db';
+
+/**
+ * Keys for the REST API, see ./api. A key is shown once, when it's made,
+ * and only its SHA-256 hash is kept. Keys are long and random, so a plain
+ * hash is as good as a slow one here. Clients send them as
+ * `Authorization: Bearer <key>`.
+ */
+
+// Makes keys easy to spot, e.g. by secret scanners
+export const API_KEY_PREFIX = 'gmdl_';
+
+// Writing down every request would be a write per request, once a minute is plenty
+const LAST_USED_INTERVAL = 60000;
+
+/**
+ * Hash a key the way it's stored
+ *
+ * @param {String} key
+ * @returns {String}
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * An API key as it's safe to show, without the hash
+ *
+ * @param {Object} apiKey
+ * @returns {Object} { id, name, hint, createdAt, lastUsedAt }
+ */
+function describeApiKey({ hash, ...apiKey }) {
+  return apiKey;
+}
+
+/**
+ * Make a new API key
+ *
+ * @param {String} name What it's for, e.g. "home assistant"
+ * @returns {Object} The key's details, with the key itself, which can't be shown again
+ */
+export function createApiKey(name) {
+  if (!name || !String(name).trim()) {
+    throw new Error('Give the key a name, e.g. what will use it');
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name: String(name).trim(),
+    hash: hashKey(key),
+    hint: key.slice(-4),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+
+  db.setApiKey(apiKey);
+  return { ...describeApiKey(apiKey), key };
+}
+
+/**
+ * Every API key, oldest first
+ *
+ * @returns {Array}
+ */
+export function listApiKeys() {
+  return Object.values(db.getApiKeys())
+    .map(describeApiKey)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Revoke an API key, it stops working straight away
+ *
+ * @param {String} id
+ * @returns {Boolean} Whether there was such a key
+ */
+export function revokeApiKey(id) {
+  return db.deleteApiKey(id);
+}
+
+/**
+ * Look a key up
+ *
+ * @param {String} key
+ * @returns {Object|null} The key's details, null when it's not a key or was revoked
+ */
+export function findApiKey(key) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = db.getApiKeyByHash(hashKey(key));
+  if (!apiKey) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - Date.parse(apiKey.lastUsedAt) > LAST_USED_INTERVAL) {
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    db.setApiKey(apiKey);
+  }
+  return describeApiKey(apiKey);
+}
+
+/**
+ * Express middleware that lets requests with a valid API key through
+ */
+export function requireApiKey(req, res, next) {
+  const authorization = req.headers.authorization || '';
+  const apiKey = authorization.startsWith('Bearer ')
+    ? findApiKey(authorization.slice('Bearer '.length).trim())
+    : null;
+
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Send an API key as Authorization: Bearer <key>' });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
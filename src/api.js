@@ -0,0 +1,513 @@
+import express from 'express';
+import path from 'path';
+import { MEDIA_TYPES, parseFilters } from './media-list-builder';
+import { TRANSCRIPT_FORMATS } from './transcript-exporter';
+import { METADATA_MODES } from './metadata-writer';
+import { createStorage } from './storage';
+import { LAYOUTS, parseFileNameTemplate } from './media-organizer';
+import { listArchivedGroups, listGalleryItems, openGalleryItem } from './gallery';
+import { getThumbnail } from './thumbnails';
+import { MEDIA_DIR } from './media-downloader';
+import { fetchAllConversations } from './conversations';
+import {
+  cancelJob,
+  createJob,
+  getJob,
+  JOB_STATUSES,
+  listJobs,
+  pauseJob,
+  prioritizeJob,
+  resumeJob,
+  summarizeJob,
+} from './jobs';
+import { getFailures } from './manifest';
+import { getActiveProfile, getToken, isProfileName } from './token-store';
+import { openApiSpec } from './openapi';
+import db from './db';
+
+/**
+ * The versioned REST API, for scripts and automation rather than the GUI's
+ * page. It's served under /api/v1 by `npm run serve` with API keys, see
+ * ./api-keys, and by the GUI with its launch secret, whose page uses it too.
+ * ./openapi describes it, and changes that would break clients go in a new version.
+ */
+
+export const API_VERSION = 'v1';
+
+const MAX_PARALLEL = 10;
+
+// Download options a job can be given, see downloadGroup
+const DOWNLOAD_OPTIONS = [
+  'types',
+  'filters',
+  'layout',
+  'fileNameTemplate',
+  'exportFormats',
+  'metadata',
+  'outputDir',
+  'parallel',
+  'thumbnails',
+];
+
+// What can be done to a job, as POST /jobs/:id/<action>
+export const JOB_ACTIONS = {
+  pause: pauseJob,
+  resume: resumeJob,
+  cancel: cancelJob,
+  priority: prioritizeJob,
+};
+
+/**
+ * Send a file from storage. Local files go through express, which handles
+ * range requests, so videos can be seeked.
+ *
+ * @param {Object} res Express response
+ * @param {Object} storage Storage driver
+ * @param {String} key
+ */
+export async function sendStoredFile(res, storage, key) {
+  try {
+    const stored = await storage.exists(key);
+    if (!stored) {
+      return res.sendStatus(404);
+    }
+
+    if (storage.localRoot) {
+      // The path is already checked, and may well run through a hidden folder like ~/.local
+      return res.sendFile(storage.url(key), { dotfiles: 'allow' });
+    }
+
+    res.type(path.posix.extname(key));
+    res.set('Content-Length', String(stored.size));
+    const body = await storage.read(key);
+    body.on('error', () => res.destroy());
+    body.pipe(res);
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+}
+
+/**
+ * Error handler that answers in JSON, e.g. for bodies that aren't JSON. Express
+ * only takes it for an error handler because it has all four arguments.
+ *
+ * @param {Error} error
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next
+ */
+export function sendJsonError(error, req, res, next) {
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+/**
+ * A profile's token. When there's none, or it can't be read, the response
+ * is sent and the token is empty.
+ *
+ * @param {Object} res Express response
+ * @param {String} profile Defaults to the active profile
+ * @returns {String}
+ */
+export function requireToken(res, profile) {
+  let token;
+  try {
+    token = getToken(profile || undefined);
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+    return '';
+  }
+
+  if (!token) {
+    res
+      .status(401)
+      .json({ error: profile ? `No token for profile ${profile}` : 'No token available' });
+  }
+  return token;
+}
+
+/**
+ * Check the download options shared by whole groups and picked items
+ *
+ * @param {Object} options See downloadGroup
+ * @returns {String|null} What's wrong, null if nothing
+ */
+export function downloadOptionsError({
+  layout,
+  fileNameTemplate,
+  exportFormats,
+  metadata,
+  outputDir,
+}) {
+  if (!LAYOUTS.includes(layout)) {
+    return `Choose a layout from: ${LAYOUTS.join(', ')}`;
+  }
+
+  if (
+    exportFormats &&
+    (!Array.isArray(exportFormats) ||
+      exportFormats.some((format) => !TRANSCRIPT_FORMATS.includes(format)))
+  ) {
+    return `Choose export formats from: ${TRANSCRIPT_FORMATS.join(', ')}`;
+  }
+
+  if (
+    metadata &&
+    (!Array.isArray(metadata) || metadata.some((mode) => !METADATA_MODES.includes(mode)))
+  ) {
+    return `Choose metadata from: ${METADATA_MODES.join(', ')}`;
+  }
+
+  if (fileNameTemplate) {
+    try {
+      parseFileNameTemplate(fileNameTemplate);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  if (outputDir) {
+    try {
+      createStorage(outputDir);
+    } catch (error) {
+      return `Invalid output folder: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether an output location is a folder in the media folder
+ *
+ * @param {String} outputDir Folder or storage URL
+ * @returns {Boolean}
+ */
+function isInMediaDir(outputDir) {
+  const { localRoot } = createStorage(outputDir);
+  return !!localRoot && (localRoot === MEDIA_DIR || localRoot.startsWith(MEDIA_DIR + path.sep));
+}
+
+/**
+ * Download options from a request body, checked. Options that aren't given are
+ * left out, so a sync falls back on what each group remembers.
+ *
+ * @param {Object} body
+ * @param {Boolean} anyOutputDir Whether outputDir can be anywhere, not just in MEDIA_DIR
+ * @returns {Object} { options } or { error }
+ */
+function readDownloadOptions(body, anyOutputDir) {
+  const options = DOWNLOAD_OPTIONS.filter((key) => body[key] !== undefined).reduce(
+    (given, key) => ({ ...given, [key]: body[key] }),
+    {}
+  );
+  const { types, filters, layout, parallel, thumbnails } = options;
+
+  if (
+    types !== undefined &&
+    (!Array.isArray(types) || !types.length || types.some((type) => !MEDIA_TYPES.includes(type)))
+  ) {
+    return { error: `Choose media types from: ${MEDIA_TYPES.join(', ')}` };
+  }
+
+  if (
+    parallel !== undefined &&
+    (!Number.isInteger(parallel) || parallel < 1 || parallel > MAX_PARALLEL)
+  ) {
+    return { error: `parallel must be a whole number from 1 to ${MAX_PARALLEL}` };
+  }
+
+  if (thumbnails !== undefined && typeof thumbnails !== 'boolean') {
+    return { error: 'thumbnails must be true or false' };
+  }
+
+  const optionsError = downloadOptionsError({ ...options, layout: layout || LAYOUTS[0] });
+  if (optionsError) {
+    return { error: optionsError };
+  }
+
+  if (options.outputDir && !anyOutputDir && !isInMediaDir(options.outputDir)) {
+    return {
+      error: `outputDir must be a folder in ${MEDIA_DIR}, unless the server allows any output`,
+    };
+  }
+
+  if (filters !== undefined) {
+    try {
+      parseFilters(filters);
+    } catch (error) {
+      return { error: `Invalid filter: ${error.message}` };
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * What every job is created with: the priority, and the profile whose token it uses
+ *
+ * @param {Object} body
+ * @returns {Object} { priority, profile } or { error }
+ */
+function readJobSettings({ priority = 0, profile }) {
+  if (!Number.isInteger(priority)) {
+    return { error: 'priority must be a whole number' };
+  }
+  if (profile !== undefined && !isProfileName(profile)) {
+    return { error: `No profile ${profile}` };
+  }
+  return { priority, profile: profile || getActiveProfile() };
+}
+
+/**
+ * Group ids from a request body, where they're optional
+ *
+ * @param {*} groupIds
+ * @returns {Boolean} Whether they're missing or a list of ids
+ */
+function isGroupIdList(groupIds) {
+  return (
+    groupIds === undefined ||
+    (Array.isArray(groupIds) &&
+      groupIds.length > 0 &&
+      groupIds.every((id) => typeof id === 'string' && id))
+  );
+}
+
+/**
+ * Build the API's routes
+ *
+ * @param {Object} options
+ * @param {Function} options.authenticate Middleware every route but the API description goes through
+ * @param {Boolean} options.anyOutputDir Let jobs save anywhere the server can reach, including
+ *   remote storage. Otherwise they can only pick a folder in MEDIA_DIR
+ * @returns {Object} Express router, to be mounted at /api/v1
+ */
+export function createApiRouter({ authenticate, anyOutputDir = false } = {}) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  if (authenticate) {
+    router.use(authenticate);
+  }
+
+  router.get('/groups', async (req, res) => {
+    const { profile } = req.query;
+    if (profile !== undefined && !isProfileName(profile)) {
+      return res.status(400).json({ error: `No profile ${profile}` });
+    }
+
+    const token = requireToken(res, profile);
+    if (!token) {
+      return;
+    }
+
+    try {
+      const groups = await fetchAllConversations(token);
+      const synced = db.getSyncStates();
+      res.json({
+        groups: groups.map(({ id, name, kind }) => ({
+          id,
+          name,
+          kind,
+          lastSyncedAt: synced[id] ? synced[id].syncedAt : null,
+        })),
+      });
+    } catch (error) {
+      res
+        .status(error.message.includes('Invalid or expired token') ? 401 : 502)
+        .json({ error: error.message });
+    }
+  });
+
+  // Download whole groups
+  router.post('/jobs', (req, res) => {
+    const { groupIds } = req.body;
+    if (!Array.isArray(groupIds) || !isGroupIdList(groupIds)) {
+      return res.status(400).json({ error: 'groupIds must be a list of group ids' });
+    }
+
+    const settings = readJobSettings(req.body);
+    const { options, error } = readDownloadOptions(req.body, anyOutputDir);
+    if (settings.error || error) {
+      return res.status(400).json({ error: settings.error || error });
+    }
+    if (!requireToken(res, settings.profile)) {
+      return;
+    }
+
+    const job = createJob({ groupIds, options: { layout: LAYOUTS[0], ...options }, ...settings });
+    res.status(201).json({ job: summarizeJob(job) });
+  });
+
+  router.get('/jobs', (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Choose a status from: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const jobs = listJobs().filter((job) => !status || job.status === status);
+    res.json({ jobs: jobs.map(summarizeJob) });
+  });
+
+  router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `No job ${req.params.id}` });
+    }
+    res.json({ job: summarizeJob(job) });
+  });
+
+  // Pause, resume, cancel, or reprioritise with { priority }
+  router.post('/jobs/:id/:action', (req, res) => {
+    const { id, action } = req.params;
+    if (!JOB_ACTIONS[action]) {
+      return res.status(404).json({ error: `Jobs can be: ${Object.keys(JOB_ACTIONS).join(', ')}` });
+    }
+
+    if (action === 'priority' && !Number.isInteger(req.body.priority)) {
+      return res.status(400).json({ error: 'Priority must be a whole number' });
+    }
+
+    try {
+      res.json({ job: summarizeJob(JOB_ACTIONS[action](id, req.body.priority)) });
+    } catch (error) {
+      res.status(getJob(id) ? 409 : 404).json({ error: error.message });
+    }
+  });
+
+  // Fetch what's new in groups downloaded before, all of them unless given
+  router.post('/sync', (req, res) => {
+    if (!isGroupIdList(req.body.groupIds)) {
+      return res.status(400).json({ error: 'groupIds must be a list of group ids' });
+    }
+
+    const synced = db.getSyncStates();
+    const groupIds = req.body.groupIds || Object.keys(synced);
+    if (!groupIds.length) {
+      return res.status(400).json({ error: 'Nothing to sync yet, download a group first' });
+    }
+
+    const neverDownloaded = groupIds.filter((id) => !synced[id]);
+    if (neverDownloaded.length) {
+      return res.status(400).json({
+        error: `Not downloaded before, so nothing to sync: ${neverDownloaded.join(', ')}`,
+      });
+    }
+
+    const settings = readJobSettings(req.body);
+    const { options, error } = readDownloadOptions(req.body, anyOutputDir);
+    if (settings.error || error) {
+      return res.status(400).json({ error: settings.error || error });
+    }
+    if (!requireToken(res, settings.profile)) {
+      return;
+    }
+
+    const job = createJob({ groupIds, sync: true, options, ...settings });
+    res.status(201).json({ job: summarizeJob(job) });
+  });
+
+  router.get('/failed', (req, res) => {
+    res.json({
+      items: getFailures().map((entry) => ({
+        groupId: entry.groupId,
+        groupName: entry.displayName || entry.groupName,
+        type: entry.item.type,
+        url: entry.item.url,
+        error: entry.error,
+        statusCode: entry.statusCode,
+        attempts: entry.attempts,
+        lastFailedAt: entry.lastFailedAt,
+      })),
+    });
+  });
+
+  router.post('/failed/retry', (req, res) => {
+    const { groupIds } = req.body;
+    if (!isGroupIdList(groupIds)) {
+      return res.status(400).json({ error: 'groupIds must be a list of group ids' });
+    }
+
+    const failures = getFailures({ groupIds });
+    if (!failures.length) {
+      return res.status(400).json({ error: 'No failed downloads to retry' });
+    }
+
+    const settings = readJobSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+    if (!requireToken(res, settings.profile)) {
+      return;
+    }
+
+    const job = createJob({
+      groupIds: Array.from(new Set(failures.map((entry) => entry.groupId))),
+      retry: true,
+      ...settings,
+    });
+    res.status(201).json({ job: summarizeJob(job) });
+  });
+
+  // What's been downloaded, whether or not the group still exists
+  router.get('/media', (req, res) => {
+    res.json({ groups: listArchivedGroups() });
+  });
+
+  router.get('/media/:groupId', (req, res) => {
+    const { page, pageSize, user, from, to, type } = req.query;
+
+    if ([from, to].some((date) => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'Dates must look like 2021-07-04' });
+    }
+
+    if (type && !MEDIA_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Choose a type from: ${MEDIA_TYPES.join(', ')}` });
+    }
+
+    res.json(listGalleryItems(req.params.groupId, { page, pageSize, user, from, to, type }));
+  });
+
+  router.get('/media/:groupId/items/:id/file', (req, res) => {
+    const opened = openGalleryItem(req.params.groupId, req.params.id);
+    if (!opened) {
+      return res.status(404).json({ error: 'No such file' });
+    }
+
+    sendStoredFile(res, opened.storage, opened.key);
+  });
+
+  router.get('/media/:groupId/items/:id/thumbnail', async (req, res) => {
+    const opened = openGalleryItem(req.params.groupId, req.params.id);
+    if (!opened) {
+      return res.status(404).json({ error: 'No such file' });
+    }
+
+    try {
+      const thumbnail = await getThumbnail(opened.storage, opened.key, opened.entry.item);
+      if (!thumbnail) {
+        return res.status(404).json({ error: 'No thumbnail for this file' });
+      }
+
+      res.type('image/webp');
+      res.set('Cache-Control', 'max-age=86400');
+      res.send(thumbnail);
+    } catch (error) {
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({
+      error: `No ${req.method} ${req.baseUrl}${req.path}, see ${req.baseUrl}/openapi.json`,
+    });
+  });
+
+  router.use(sendJsonError);
+
+  return router;
+}
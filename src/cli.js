@@ -3,113 +3,477 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
-import db from './db';
+import { Command } from 'commander';
+import {
+  getActiveProfile,
+  getToken,
+  isProfileName,
+  listProfiles,
+  maskToken,
+  setToken,
+  unlockTokens,
+  useProfile,
+} from './token-store';
+import { MEDIA_TYPES, parseFilters } from './media-list-builder';
+import { TRANSCRIPT_FORMATS } from './transcript-exporter';
+import { METADATA_MODES } from './metadata-writer';
+import { createStorage, isRemoteStorage } from './storage';
+import { FILENAME_TOKENS, LAYOUTS, parseFileNameTemplate } from './media-organizer';
 
 /**
- * Parse command line arguments for non-interactive mode
+ * Process exit codes, so unattended runs (cron and friends) can tell what happened
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1, // Nothing could be downloaded, e.g. bad token or no network
+  USAGE: 2, // Invalid or missing command line arguments
+  PARTIAL: 3, // Some groups downloaded, others failed
+};
+
+/**
+ * Bounds for --parallel
+ */
+export const DEFAULT_PARALLEL = 3;
+const MAX_PARALLEL = 10;
+
+/**
+ * Options shared by `npm start` and groupme-dl's commands, by the name
+ * commander gives their value. Each command picks the ones it takes.
+ */
+const OPTIONS = {
+  token: ['-t, --token <token>', 'Your GroupMe API token, saved under the profile in use'],
+  profile: ['--profile <name>', 'Use the token saved under this profile, e.g. personal or team (default: the profile used last). With --token, saves it there'],
+  group: ['-g, --group <id>', 'Download from a specific group ID, or dm:<user id> for a direct message'],
+  multiGroups: ['-m, --multi-groups <ids>', 'Download from multiple group IDs (comma-separated)'],
+  parallel: ['-p, --parallel <number>', `Number of parallel downloads, 1-${MAX_PARALLEL} (default: ${DEFAULT_PARALLEL})`],
+  output: ['-o, --output <directory>', 'Custom output directory, or remote storage: s3://bucket/prefix[?endpoint=http://host:9000&region=...] or webdav://host/path (webdavs:// for https)'],
+  layout: ['-l, --layout <layout>', 'Folder layout inside each group folder (default: flat). flat: one folder, date: year/month folders, user: a folder per poster'],
+  filename: ['-f, --filename <template>', `Filename template (default: [user]-[date:yyyyMMdd-HHmmss]-[hash].[ext]). Tokens: ${Object.keys(FILENAME_TOKENS).map(token => `[${token}]`).join(' ')}`],
+  export: ['-e, --export <formats>', `Also save the chat transcript (comma-separated, or "all"). One or more of: ${TRANSCRIPT_FORMATS.join(', ')}`],
+  metadata: ['--metadata <modes>', 'Keep each file\'s poster, caption, likes and date (comma-separated, or "all"). sidecar: a .json file next to each download, embed: EXIF/XMP tags in JPEGs, metadata atoms in MP4s'],
+  thumbnails: ['--thumbnails', 'Make thumbnails for the GUI\'s gallery while downloading (otherwise they\'re made the first time the gallery shows a file)'],
+  items: ['--items <file>', 'Only download these items: a file of message ids or media URLs, one per line'],
+  types: ['--types <types>', `Attachment types to download (comma-separated, default: all). One or more of: ${MEDIA_TYPES.join(', ')}`],
+  since: ['--since <date>', 'Only what was posted on or after this day (yyyy-MM-dd)'],
+  until: ['--until <date>', 'Only what was posted on or before this day (yyyy-MM-dd)'],
+  users: ['--users <users>', 'Only what these people posted (comma-separated user ids or names)'],
+  excludeUsers: ['--exclude-users <users>', 'Never what these people posted (comma-separated user ids or names)'],
+  minLikes: ['--min-likes <number>', 'Only what was liked at least this many times'],
+};
+
+/**
+ * Options that narrow a download down, see parseFilters
+ */
+export const FILTER_OPTIONS = ['since', 'until', 'users', 'excludeUsers', 'minLikes'];
+
+/**
+ * Print an argument error and bail out with the usage exit code
+ * @param {String} message
+ */
+export function usageError(message) {
+  console.error(chalk.red(`Error: ${message}`));
+  console.error(chalk.yellow('Run with --help to see the available options.'));
+  process.exit(EXIT_CODES.USAGE);
+}
+
+/**
+ * Exit code for a run that did some things and failed at others
+ * @param {Number} succeeded How many groups or files worked
+ * @param {Number} failed How many didn't
+ * @returns {Number}
+ */
+export function outcomeExitCode(succeeded, failed) {
+  if (!failed) {
+    return EXIT_CODES.SUCCESS;
+  }
+  return succeeded ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Exit code for downloading or syncing several groups. Files that couldn't be
+ * downloaded count as failures as much as groups that failed outright, a group
+ * only counts as a success when all its files are there.
+ * @param {Array} downloaded Download counts of each group that was downloaded
+ * @param {Array} failed Groups that failed outright
+ * @returns {Number}
+ */
+export function downloadExitCode(downloaded, failed) {
+  const succeeded = downloaded.reduce(
+    (total, counts) => total + counts.completed + counts.skipped + (counts.failed ? 0 : 1),
+    0
+  );
+  const failedFiles = downloaded.reduce((total, counts) => total + counts.failed, 0);
+  return outcomeExitCode(succeeded, failedFiles + failed.length);
+}
+
+/**
+ * Give a commander command some of the shared options
+ * @param {Object} command
+ * @param {Array} names Keys of OPTIONS
+ * @returns {Object} The command
+ */
+export function addOptions(command, names) {
+  names.forEach(name => command.option(...OPTIONS[name]));
+  return command;
+}
+
+/**
+ * Have commander exit with our exit codes: help and --version are fine,
+ * anything else it complains about is a usage error
+ * @param {Object} command
+ * @returns {Object} The command
+ */
+export function useExitCodes(command) {
+  return command
+    .storeOptionsAsProperties(false)
+    .passCommandToAction(false)
+    .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE));
+}
+
+/**
+ * Whether any flag was given that only makes sense for the command line interface
+ * @param {Object} options Parsed arguments
+ * @returns {Boolean}
+ */
+export function hasCommandLineArgs(options) {
+  return !!(
+    !options.interactive ||
+    options.sync ||
+    options.verify ||
+    options.retryFailed ||
+    options.token ||
+    options.profile ||
+    options.groupId ||
+    options.multiGroups ||
+    options.parallel ||
+    options.output ||
+    options.types ||
+    options.layout ||
+    options.fileNameTemplate ||
+    options.exportFormats ||
+    options.metadata ||
+    options.thumbnails ||
+    options.items ||
+    options.filters
+  );
+}
+
+/**
+ * Read a file of message ids or media URLs, one per line. Blank lines and
+ * lines starting with # are skipped.
+ * @param {String} file
+ * @returns {Array} Message ids and URLs
+ */
+function readItemsFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    usageError(`Couldn't read --items file: ${error.message}`);
+  }
+
+  const items = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+  if (!items.length) {
+    usageError(`--items file ${file} doesn't list any message ids or URLs`);
+  }
+  return items;
+}
+
+/**
+ * Check the shared options and turn them into what the downloader takes
+ * @param {Object} flags Options as commander parsed them, see OPTIONS
  * @returns {Object} Parsed arguments
  */
-export function parseCommandLineArgs() {
-  const args = process.argv.slice(2);
+export function readOptions(flags) {
   const options = {
-    token: null,
-    groupId: null,
-    multiGroups: null,
-    parallel: 3,
-    output: null,
-    interactive: true,
+    token: flags.token || null,
+    profile: flags.profile || null,
+    groupId: flags.group || null,
+    multiGroups: flags.multiGroups || null,
+    parallel: null,
+    output: flags.output || null,
+    types: null,
+    layout: null,
+    fileNameTemplate: flags.filename || null,
+    exportFormats: null,
+    metadata: null,
+    thumbnails: !!flags.thumbnails,
+    items: null,
+    filters: null,
   };
 
-  // Simple argument parser
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    if (arg === '--token' || arg === '-t') {
-      options.token = args[++i];
-    } else if (arg === '--group' || arg === '-g') {
-      options.groupId = args[++i];
-    } else if (arg === '--multi-groups' || arg === '-m') {
-      options.multiGroups = args[++i];
-    } else if (arg === '--parallel' || arg === '-p') {
-      const value = parseInt(args[++i], 10);
-      options.parallel = !isNaN(value) && value > 0 ? value : 3;
-    } else if (arg === '--output' || arg === '-o') {
-      options.output = args[++i];
-    } else if (arg === '--non-interactive') {
-      options.interactive = false;
-    } else if (arg === '--help' || arg === '-h') {
-      printHelp();
-      process.exit(0);
+  const list = value => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+  if (options.profile && !isProfileName(options.profile)) {
+    usageError('--profile names are up to 40 letters, digits, dots, dashes and underscores');
+  }
+
+  if (flags.parallel !== undefined) {
+    const value = parseInt(flags.parallel, 10);
+    if (isNaN(value) || value < 1 || value > MAX_PARALLEL) {
+      usageError(`--parallel must be a number between 1 and ${MAX_PARALLEL}`);
     }
+    options.parallel = value;
+  }
+
+  if (options.output) {
+    try {
+      createStorage(options.output);
+    } catch (error) {
+      usageError(`Invalid --output: ${error.message}`);
+    }
+  }
+
+  if (flags.types !== undefined) {
+    options.types = list(flags.types);
+    const unknownTypes = options.types.filter(type => !MEDIA_TYPES.includes(type));
+    if (unknownTypes.length) {
+      usageError(`Unknown media type(s): ${unknownTypes.join(', ')}. Choose from: ${MEDIA_TYPES.join(', ')}`);
+    }
+  }
+
+  if (flags.layout !== undefined) {
+    options.layout = flags.layout.toLowerCase();
+    if (!LAYOUTS.includes(options.layout)) {
+      usageError(`--layout must be one of: ${LAYOUTS.join(', ')}`);
+    }
+  }
+
+  if (options.fileNameTemplate) {
+    try {
+      parseFileNameTemplate(options.fileNameTemplate);
+    } catch (error) {
+      usageError(error.message);
+    }
+  }
+
+  if (flags.export !== undefined) {
+    options.exportFormats = flags.export === 'all' ? TRANSCRIPT_FORMATS : list(flags.export);
+    const unknownFormats = options.exportFormats.filter(format => !TRANSCRIPT_FORMATS.includes(format));
+    if (unknownFormats.length) {
+      usageError(`Unknown export format(s): ${unknownFormats.join(', ')}. Choose from: ${TRANSCRIPT_FORMATS.join(', ')}, all`);
+    }
+  }
+
+  if (flags.metadata !== undefined) {
+    options.metadata = flags.metadata === 'all' ? METADATA_MODES : list(flags.metadata);
+    const unknownModes = options.metadata.filter(mode => !METADATA_MODES.includes(mode));
+    if (unknownModes.length) {
+      usageError(`Unknown metadata mode(s): ${unknownModes.join(', ')}. Choose from: ${METADATA_MODES.join(', ')}, all`);
+    }
+  }
+
+  if (flags.items !== undefined) {
+    options.items = readItemsFile(flags.items);
+  }
+
+  const filters = {};
+  if (flags.since !== undefined) {
+    filters.since = flags.since;
+  }
+  if (flags.until !== undefined) {
+    filters.until = flags.until;
+  }
+  if (flags.users !== undefined) {
+    filters.users = list(flags.users);
+  }
+  if (flags.excludeUsers !== undefined) {
+    filters.excludeUsers = list(flags.excludeUsers);
+  }
+  if (flags.minLikes !== undefined) {
+    filters.minLikes = Number(flags.minLikes);
+  }
+
+  if (Object.keys(filters).length) {
+    try {
+      parseFilters(filters);
+    } catch (error) {
+      usageError(`Invalid filter: ${error.message}`);
+    }
+    options.filters = filters;
   }
 
   return options;
 }
 
 /**
- * Print usage information
+ * Parse command line arguments for non-interactive mode
+ * @param {Array} args Defaults to the process's
+ * @returns {Object} Parsed arguments
  */
-function printHelp() {
-  console.log(`
-${chalk.bold('GroupMe Gallery Downloader')} - Download photos from your GroupMe conversations
+export function parseCommandLineArgs(args = process.argv.slice(2)) {
+  const command = useExitCodes(new Command('npm start --'))
+    .description(`${chalk.bold('GroupMe Gallery Downloader')} - Download photos from your GroupMe conversations`)
+    .on('--help', printHelp);
 
-${chalk.yellow('Usage:')} npm start [options]
+  addOptions(command, ['token', 'profile', 'group', 'multiGroups'])
+    .option('-s, --sync', 'Fetch only what\'s new in every group downloaded before, reusing each group\'s options unless given here')
+    .option('--verify', 'Re-check downloaded files against their checksums and download missing or corrupt ones again (all groups, or those given with -g/-m)')
+    .option('--retry-failed', 'Try downloads that failed before again (all groups, or those given with -g/-m)');
+  addOptions(command, ['parallel', 'output', 'layout', 'filename', 'export', 'metadata', 'thumbnails', 'items', 'types', ...FILTER_OPTIONS])
+    .option('--non-interactive', 'Run in non-interactive mode');
 
-${chalk.yellow('Options:')}
-  -t, --token <token>         Your GroupMe API token
-  -g, --group <id>            Download from a specific group ID
-  -m, --multi-groups <ids>    Download from multiple group IDs (comma-separated)
-  -p, --parallel <number>     Number of parallel downloads (default: 3)
-  -o, --output <directory>    Custom output directory
-  --non-interactive           Run in non-interactive mode
-  -h, --help                  Show this help
+  command.parse(args, { from: 'user' });
+  if (command.args.length) {
+    usageError(`Unknown option: ${command.args[0]}`);
+  }
 
+  const flags = command.opts();
+  const options = {
+    ...readOptions(flags),
+    sync: !!flags.sync,
+    verify: !!flags.verify,
+    retryFailed: !!flags.retryFailed,
+    interactive: !flags.nonInteractive,
+  };
+
+  if ([options.sync, options.verify, options.retryFailed].filter(Boolean).length > 1) {
+    usageError('Pick one of --sync, --verify and --retry-failed');
+  }
+
+  if (options.items && (options.sync || options.verify || options.retryFailed)) {
+    usageError('--items picks what to download, it can\'t be combined with --sync, --verify or --retry-failed');
+  }
+
+  return options;
+}
+
+/**
+ * Print the examples, exit codes and environment under the options
+ */
+function printHelp() {
+  console.log(`
 ${chalk.yellow('Examples:')}
-  npm start                                  # Run in interactive mode
-  npm start -t YOUR_TOKEN                    # Use specific token
-  npm start -g 12345678                      # Download from specific group
-  npm start -m 12345678,87654321 -p 5        # Download from multiple groups with 5 parallel downloads
+  npm start                                     # Run in interactive mode
+  npm start -- -t YOUR_TOKEN                    # Use specific token
+  npm start -- --profile team -t TEAM_TOKEN     # Save a second account's token under "team"
+  npm start -- -g 12345678                      # Download from specific group
+  npm start -- -m 12345678,87654321 -p 5        # Download from multiple groups with 5 parallel downloads
+  npm start -- -g 12345678 --types video        # Only download videos
+  npm start -- -g 12345678 --since 2024-01-08 --until 2024-05-03 --users "Jane Doe"
+  npm start -- -g dm:87654321                   # Download a direct message conversation
+  npm start -- -g 12345678 -l date              # Sort into year/month folders
+  npm start -- -g 12345678 -e all               # Save the conversation next to the media
+  npm start -- -g 12345678 --metadata all       # Tag photos and videos with who posted them
+  npm start -- -g 12345678 -o "s3://archive/groupme?endpoint=http://nas.local:9000"
+  npm start -- -g 12345678 -f "[user]-[date:yyyyMMdd]-[hash].[ext]"
+  npm start -- -g 12345678 --items picks.txt    # Download just the messages listed in picks.txt
+  npm start -- -g 12345678 --non-interactive    # Unattended run, e.g. from cron
+  npm start -- --sync --non-interactive         # Nightly catch-up of every group downloaded before
+  npm start -- --verify -g 12345678             # Repair a group's downloads
+  npm start -- --retry-failed --non-interactive # Have another go at the photos that failed
+
+${chalk.yellow('Exit codes:')}
+  ${EXIT_CODES.SUCCESS}  Everything downloaded
+  ${EXIT_CODES.FAILURE}  Nothing could be downloaded (bad token, network error, ...)
+  ${EXIT_CODES.USAGE}  Invalid or missing options
+  ${EXIT_CODES.PARTIAL}  Some groups failed, the rest downloaded
+
+${chalk.yellow('Environment:')}
+  GROUPME_PASSPHRASE          Encrypt saved tokens under this passphrase, and unlock them
+  GROUPME_TOKEN_STORE         Where to save tokens: keyring (the system keychain) or file
+                              (encrypted in data/). Default: keyring when there is one
   `);
 }
 
 /**
- * Handle token input or retrieval
+ * Pick the profile whose token to use. Asked only when there's more than one to pick from.
+ * @param {Object} options Parsed arguments
+ * @returns {Promise<string>} Profile name
+ */
+async function pickProfile(options) {
+  const active = getActiveProfile();
+  const profiles = listProfiles();
+
+  if (options.profile || !options.interactive || profiles.length < 2) {
+    return options.profile || active;
+  }
+
+  const { profile } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'profile',
+      message: 'Which account do you want to use?',
+      choices: profiles.map(entry => ({ name: `${entry.name} (${entry.token})`, value: entry.name })),
+      default: active,
+    },
+  ]);
+  return profile;
+}
+
+/**
+ * Read a profile's saved token, asking for the passphrase if it's locked behind one
+ * @param {String} profile
+ * @param {Object} options Parsed arguments
+ * @returns {Promise<string>} Token, empty when none is saved
+ */
+async function readSavedToken(profile, options) {
+  try {
+    return getToken(profile);
+  } catch (error) {
+    if (error.code !== 'TOKEN_LOCKED' || !options.interactive) {
+      throw error;
+    }
+  }
+
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: `Passphrase for the ${profile} token:`,
+      mask: '*',
+    },
+  ]);
+  unlockTokens(passphrase);
+  return getToken(profile);
+}
+
+/**
+ * Handle token input or retrieval. Tokens are saved per profile, see ./token-store
+ * @param {Object} options Parsed arguments, defaults to the command line's
  * @returns {Promise<string>} Token
  */
-export async function getAuthToken() {
-  const options = parseCommandLineArgs();
-  const existingToken = db.getToken();
-  
+export async function getAuthToken(options = parseCommandLineArgs()) {
+  const profile = await pickProfile(options);
+
   // If token is provided via command line, use it
   if (options.token) {
-    db.setToken(options.token);
+    setToken(options.token, profile);
+    useProfile(profile);
     return options.token;
   }
-  
+
+  const existingToken = await readSavedToken(profile, options);
+
   // If we're in non-interactive mode but have an existing token, use it
   if (!options.interactive && existingToken) {
+    useProfile(profile);
     return existingToken;
   }
   
   // If we're in non-interactive mode but don't have a token, throw error
   if (!options.interactive && !existingToken) {
-    console.error(chalk.red('Error: API token is required in non-interactive mode.'));
-    console.error(chalk.yellow('Provide token with --token option or run in interactive mode.'));
-    process.exit(1);
+    console.error(chalk.red(`Error: API token is required in non-interactive mode, none is saved for profile ${profile}.`));
+    console.error(chalk.yellow('Provide token with --token option, or save one first in interactive mode or with: groupme-dl config set-token'));
+    process.exit(EXIT_CODES.USAGE);
   }
 
   // Interactive mode token handling
   if (existingToken) {
-    const tokenShortSha = chalk.yellow(existingToken.substr(0, 7));
+    const maskedToken = chalk.yellow(maskToken(existingToken));
     const { cachedToken } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'cachedToken',
-        message: `Do you want to use your existing token: ${tokenShortSha}... ?`,
+        message: `Do you want to use your existing ${profile} token: ${maskedToken} ?`,
       },
     ]);
 
     if (cachedToken) {
+      useProfile(profile);
       return existingToken;
     }
   }
@@ -117,15 +481,17 @@ export async function getAuthToken() {
   // Need to get a new token
   const { authToken } = await inquirer.prompt([
     {
-      type: 'input',
+      type: 'password',
       name: 'authToken',
-      message: 'Enter your GroupMe API token:',
+      message: `Enter your GroupMe API token (saved as ${profile}):`,
+      mask: '*',
       validate: input => input.trim().length > 0 ? true : 'Token is required',
     },
   ]);
 
-  db.setToken(authToken);
-  return authToken;
+  setToken(authToken, profile);
+  useProfile(profile);
+  return authToken.trim();
 }
 
 /**
@@ -150,7 +516,7 @@ export async function processGroupSelection(availableGroups) {
   if (!options.interactive) {
     console.error(chalk.red('Error: Group ID is required in non-interactive mode.'));
     console.error(chalk.yellow('Provide group ID with --group or --multi-groups option.'));
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
   }
   
   // Interactive selection
@@ -206,7 +572,7 @@ export async function getParallelCount() {
   
   // Default for non-interactive mode
   if (!options.interactive) {
-    return 3;
+    return DEFAULT_PARALLEL;
   }
   
   // Ask in interactive mode
@@ -214,12 +580,12 @@ export async function getParallelCount() {
     {
       type: 'number',
       name: 'parallelCount',
-      message: 'How many parallel downloads? (1-10)',
-      default: 3,
+      message: `How many parallel downloads? (1-${MAX_PARALLEL})`,
+      default: DEFAULT_PARALLEL,
       validate: (input) => {
         const num = parseInt(input, 10);
-        if (isNaN(num) || num < 1 || num > 10) {
-          return 'Please enter a number between 1 and 10';
+        if (isNaN(num) || num < 1 || num > MAX_PARALLEL) {
+          return `Please enter a number between 1 and ${MAX_PARALLEL}`;
         }
         return true;
       }
@@ -229,6 +595,76 @@ export async function getParallelCount() {
   return parallelCount;
 }
 
+/**
+ * Get the attachment types to download from args or prompt user
+ * @returns {Promise<Array>} Attachment types, see MEDIA_TYPES
+ */
+export async function getMediaTypes() {
+  const options = parseCommandLineArgs();
+
+  // If specified in command line
+  if (options.types) {
+    return options.types;
+  }
+
+  // Everything for non-interactive mode
+  if (!options.interactive) {
+    return MEDIA_TYPES;
+  }
+
+  // Ask in interactive mode
+  const { mediaTypes } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'mediaTypes',
+      message: 'Which kinds of attachments should be downloaded?',
+      choices: MEDIA_TYPES.map(type => ({ name: type, value: type, checked: true })),
+      validate: (answer) => {
+        if (answer.length < 1) {
+          return 'You must choose at least one kind.';
+        }
+        return true;
+      }
+    }
+  ]);
+
+  return mediaTypes;
+}
+
+/**
+ * Get the folder layout from args or prompt user
+ * @returns {Promise<string>} Layout, see LAYOUTS
+ */
+export async function getLayout() {
+  const options = parseCommandLineArgs();
+
+  // If specified in command line
+  if (options.layout) {
+    return options.layout;
+  }
+
+  // Default for non-interactive mode
+  if (!options.interactive) {
+    return 'flat';
+  }
+
+  // Ask in interactive mode
+  const { layout } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'layout',
+      message: 'How should the downloaded files be organized?',
+      choices: [
+        { name: 'All in one folder', value: 'flat' },
+        { name: 'By date (year/month)', value: 'date' },
+        { name: 'By poster', value: 'user' },
+      ],
+    }
+  ]);
+
+  return layout;
+}
+
 /**
  * Get output directory from args or prompt user
  * @returns {Promise<string|null>} Custom output directory or null for default
@@ -239,7 +675,7 @@ export async function getOutputDirectory() {
   // If specified in command line
   if (options.output) {
     // Create directory if it doesn't exist
-    if (!fs.existsSync(options.output)) {
+    if (!isRemoteStorage(options.output) && !fs.existsSync(options.output)) {
       fs.mkdirSync(options.output, { recursive: true });
     }
     return options.output;
@@ -268,19 +704,24 @@ export async function getOutputDirectory() {
     {
       type: 'input',
       name: 'customDir',
-      message: 'Enter the directory path for downloads:',
+      message: 'Enter the directory path for downloads (or an s3:// or webdav:// URL):',
       default: path.join(process.cwd(), 'media'),
       validate: (input) => {
         if (!input.trim()) {
           return 'Directory path cannot be empty';
         }
+        try {
+          createStorage(input.trim());
+        } catch (error) {
+          return error.message;
+        }
         return true;
       }
     }
   ]);
   
   // Create directory if it doesn't exist
-  if (!fs.existsSync(customDir)) {
+  if (!isRemoteStorage(customDir) && !fs.existsSync(customDir)) {
     fs.mkdirSync(customDir, { recursive: true });
   }
   
@@ -0,0 +1,39 @@
+/**
+ * Calls to the GUI server. Errors come back as { error } in the body,
+ * so every call resolves with the parsed body and callers check it.
+ */
+
+/**
+ * The versioned REST API, shared with `npm run serve`. Jobs, failed downloads
+ * and the gallery come from there, the rest is the GUI's own.
+ */
+export const API_BASE = '/api/v1';
+
+/**
+ * @param {String} url
+ * @returns {Promise<Object>}
+ */
+export function getJson(url) {
+  return fetch(url).then((response) => response.json());
+}
+
+/**
+ * @param {String} url
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ */
+export function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }).then((response) => response.json());
+}
+
+/**
+ * @param {String} url
+ * @returns {Promise<Object>}
+ */
+export function deleteJson(url) {
+  return fetch(url, { method: 'DELETE' }).then((response) => response.json());
+}
@@ -0,0 +1,66 @@
+/**
+ * Turning values into text for the page
+ */
+
+/**
+ * Make text safe to put in HTML, attributes included
+ *
+ * @param {*} text
+ * @returns {String}
+ */
+export function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A date and time the way the browser shows them
+ *
+ * @param {String} iso
+ * @returns {String}
+ */
+export function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+/**
+ * yyyy-MM-dd in the browser's time zone, as date inputs give it
+ *
+ * @param {String} iso
+ * @returns {String}
+ */
+export function localDay(iso) {
+  const date = new Date(iso);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * @param {Number} bytes
+ * @returns {String} e.g. 1.5 MB
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return `${bytes.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * @param {Number} seconds
+ * @returns {String} e.g. 2m 5s
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.ceil(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+}
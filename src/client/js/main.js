@@ -0,0 +1,19 @@
+import { initGallery } from './views/gallery.js';
+import { hideGroups, initGroups, loadGroups } from './views/groups.js';
+import { initJobs, showJob } from './views/jobs.js';
+import { initProgress } from './views/progress.js';
+import { initSettings } from './views/settings.js';
+
+/**
+ * The GUI's page. Modules run once the page has been parsed, so the views
+ * can look up their elements straight away. socket.io's client is loaded
+ * by its own script tag, as the global io.
+ */
+
+const socket = io();
+
+initProgress(socket);
+initJobs(socket);
+initGallery(socket);
+initGroups({ onDownloadQueued: showJob });
+initSettings({ socket, onTokenReady: loadGroups, onTokenForgotten: hideGroups });
@@ -0,0 +1,223 @@
+import { API_BASE, getJson } from '../api.js';
+import { escapeHtml, formatDate } from '../format.js';
+
+/**
+ * Gallery of what's been downloaded, works without a token or GroupMe.
+ * Only the tiles in view are in the page, so big archives scroll smoothly,
+ * and a lightbox shows files full size.
+ */
+
+const TILE_SIZE = 150;
+const TILE_GAP = 8;
+const GALLERY_PAGE_SIZE = 120;
+
+let gallery = { items: [], total: 0, pages: new Map(), query: '', range: null };
+let lightboxIndex = null;
+let elements;
+
+function itemUrl(item, kind) {
+  return `${API_BASE}/media/${encodeURIComponent(elements.group.value)}/items/${encodeURIComponent(item.id)}/${kind}`;
+}
+
+function loadArchive() {
+  getJson(`${API_BASE}/media`).then((data) => {
+    if (!data.groups || !data.groups.length) return;
+    elements.section.classList.remove('hidden');
+
+    const current = elements.group.value;
+    elements.group.innerHTML = data.groups
+      .map(
+        (group) =>
+          `<option value="${escapeHtml(group.id)}">${escapeHtml(group.name)} (${group.count})</option>`
+      )
+      .join('');
+    if (data.groups.some((group) => group.id === current)) {
+      elements.group.value = current;
+    }
+    resetGallery();
+  });
+}
+
+function galleryQuery(page) {
+  const params = new URLSearchParams({ page, pageSize: GALLERY_PAGE_SIZE });
+  ['user', 'type', 'from', 'to'].forEach((name) => {
+    if (elements[name].value) params.set(name, elements[name].value);
+  });
+  return `${API_BASE}/media/${encodeURIComponent(elements.group.value)}?${params}`;
+}
+
+function loadGalleryPage(page) {
+  if (gallery.pages.has(page)) return gallery.pages.get(page);
+
+  const query = gallery.query;
+  const request = getJson(galleryQuery(page)).then((data) => {
+    // The filters changed while this page was loading
+    if (query !== gallery.query) return;
+    if (data.error) {
+      elements.count.textContent = data.error;
+      return;
+    }
+
+    gallery.total = data.total;
+    data.items.forEach((item, index) => {
+      gallery.items[(page - 1) * GALLERY_PAGE_SIZE + index] = item;
+    });
+    updateUsers(data.users);
+    elements.count.textContent = `${data.total} ${data.total === 1 ? 'file' : 'files'}`;
+    renderGallery(true);
+  });
+
+  gallery.pages.set(page, request);
+  return request;
+}
+
+function updateUsers(users) {
+  const current = elements.user.value;
+  elements.user.innerHTML =
+    '<option value="">Everyone</option>' +
+    users
+      .map((user) => `<option value="${escapeHtml(user.id)}">${escapeHtml(user.name)}</option>`)
+      .join('');
+  elements.user.value = current;
+}
+
+function resetGallery() {
+  gallery = { items: [], total: 0, pages: new Map(), query: galleryQuery(1), range: null };
+  elements.viewport.scrollTop = 0;
+  elements.canvas.innerHTML = '';
+  loadGalleryPage(1);
+}
+
+// Only the rows in view, and a couple either side, are ever in the page
+function renderGallery(force) {
+  const { viewport, canvas } = elements;
+  const columns = Math.max(
+    1,
+    Math.floor((viewport.clientWidth + TILE_GAP) / (TILE_SIZE + TILE_GAP))
+  );
+  const rowHeight = TILE_SIZE + TILE_GAP;
+  const firstRow = Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - 2);
+  const lastRow = Math.ceil((viewport.scrollTop + viewport.clientHeight) / rowHeight) + 2;
+  const first = firstRow * columns;
+  const last = Math.min(gallery.total, lastRow * columns);
+  const range = `${first}-${last}-${columns}`;
+
+  if (!force && range === gallery.range) return;
+  gallery.range = range;
+  canvas.style.height = Math.ceil(gallery.total / columns) * rowHeight + 'px';
+
+  const tiles = [];
+  for (let index = first; index < last; index++) {
+    const item = gallery.items[index];
+    const position = `top:${Math.floor(index / columns) * rowHeight}px;left:${(index % columns) * (TILE_SIZE + TILE_GAP)}px`;
+
+    if (!item) {
+      loadGalleryPage(Math.floor(index / GALLERY_PAGE_SIZE) + 1);
+      tiles.push(`<div class="gallery-tile loading" style="${position}"></div>`);
+      continue;
+    }
+
+    tiles.push(`
+      <div class="gallery-tile" data-index="${index}" style="${position}" title="${escapeHtml(item.user)}, ${escapeHtml(formatDate(item.created))}">
+        <span class="tile-name">${escapeHtml(item.name)}</span>
+        <img src="${itemUrl(item, 'thumbnail')}" alt="" loading="lazy" onerror="this.remove()">
+        ${item.type === 'video' ? '<span class="tile-badge">&#9654;</span>' : ''}
+      </div>
+    `);
+  }
+  canvas.innerHTML = tiles.join('');
+}
+
+function openLightbox(index) {
+  const item = gallery.items[index];
+  if (!item) return;
+  lightboxIndex = index;
+
+  const url = itemUrl(item, 'file');
+  if (item.type === 'video') {
+    elements.lightboxMedia.innerHTML = `<video src="${url}" controls autoplay></video>`;
+  } else if (item.type === 'file' && !/\.(jpe?g|png|gif|webp)$/i.test(item.name)) {
+    elements.lightboxMedia.innerHTML = `<a href="${url}" download="${escapeHtml(item.name)}">Download ${escapeHtml(item.name)}</a>`;
+  } else {
+    elements.lightboxMedia.innerHTML = `<img src="${url}" alt="">`;
+  }
+
+  const likes = item.likes ? ` - ${item.likes} ${item.likes === 1 ? 'like' : 'likes'}` : '';
+  elements.lightboxCaption.innerHTML =
+    `<strong>${escapeHtml(item.user)}</strong>, ${escapeHtml(formatDate(item.created))}${likes}` +
+    (item.caption ? `<br>${escapeHtml(item.caption)}` : '');
+  elements.lightbox.classList.remove('hidden');
+}
+
+function closeLightbox() {
+  elements.lightbox.classList.add('hidden');
+  elements.lightboxMedia.innerHTML = '';
+  lightboxIndex = null;
+}
+
+function stepLightbox(step) {
+  const next = lightboxIndex + step;
+  if (lightboxIndex === null || next < 0 || next >= gallery.total) return;
+
+  if (gallery.items[next]) {
+    openLightbox(next);
+  } else {
+    loadGalleryPage(Math.floor(next / GALLERY_PAGE_SIZE) + 1).then(() => openLightbox(next));
+  }
+}
+
+/**
+ * Set up the archive
+ *
+ * @param {Object} socket
+ */
+export function initGallery(socket) {
+  const byId = (id) => document.getElementById(id);
+  elements = {
+    section: byId('gallery-section'),
+    group: byId('gallery-group'),
+    user: byId('gallery-user'),
+    type: byId('gallery-type'),
+    from: byId('gallery-from'),
+    to: byId('gallery-to'),
+    count: byId('gallery-count'),
+    viewport: byId('gallery-viewport'),
+    canvas: byId('gallery-canvas'),
+    lightbox: byId('lightbox'),
+    lightboxMedia: byId('lightbox-media'),
+    lightboxCaption: byId('lightbox-caption'),
+  };
+
+  elements.viewport.addEventListener('scroll', () => renderGallery(false));
+  window.addEventListener('resize', () => renderGallery(false));
+
+  ['group', 'user', 'type', 'from', 'to'].forEach((name) => {
+    elements[name].addEventListener('change', () => {
+      // Posters belong to a group
+      if (name === 'group') elements.user.value = '';
+      resetGallery();
+    });
+  });
+
+  elements.canvas.addEventListener('click', (event) => {
+    const tile = event.target.closest('.gallery-tile[data-index]');
+    if (tile) openLightbox(Number(tile.dataset.index));
+  });
+
+  byId('lightbox-close').addEventListener('click', closeLightbox);
+  byId('lightbox-prev').addEventListener('click', () => stepLightbox(-1));
+  byId('lightbox-next').addEventListener('click', () => stepLightbox(1));
+  elements.lightbox.addEventListener('click', (event) => {
+    if (event.target === elements.lightbox) closeLightbox();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (elements.lightbox.classList.contains('hidden')) return;
+    if (event.key === 'Escape') closeLightbox();
+    if (event.key === 'ArrowLeft') stepLightbox(-1);
+    if (event.key === 'ArrowRight') stepLightbox(1);
+  });
+
+  socket.on('downloadCompleted', loadArchive);
+  loadArchive();
+}
@@ -0,0 +1,126 @@
+import { getJson, postJson } from '../api.js';
+import { escapeHtml } from '../format.js';
+import { bindPreviews, closePreviews, renderPreviewSection } from './preview.js';
+import { getDownloadOptions } from './settings.js';
+
+/**
+ * The groups and direct messages the token can see, to pick for downloading
+ */
+
+let groupsSection;
+let groupsContainer;
+let downloadBtn;
+let onDownloadQueued;
+
+function renderGroups(groups) {
+  const html = groups
+    .map(
+      (group) => `
+        <div class="group-item" data-id="${escapeHtml(group.id)}">
+          <div class="download-status" id="status-${escapeHtml(group.id)}"></div>
+          <div class="group-info">
+            <h3>${escapeHtml(group.name)}</h3>
+            ${group.kind === 'dm' ? '<span class="dm-badge">Direct message</span>' : ''}
+            <input type="checkbox" class="group-select" data-id="${escapeHtml(group.id)}">
+            <button class="preview-btn" data-id="${escapeHtml(group.id)}">Preview</button>
+          </div>
+          ${renderPreviewSection(group.id)}
+        </div>
+      `
+    )
+    .join('');
+
+  closePreviews();
+  groupsContainer.innerHTML = html;
+
+  // Check downloaded status for each group
+  groups.forEach((group) => {
+    getJson(`/api/media/${encodeURIComponent(group.id)}`).then((data) => {
+      const status = document.getElementById(`status-${group.id}`);
+      if (data.files && data.files.length > 0) {
+        status.classList.add('downloaded');
+      }
+    });
+  });
+
+  bindPreviews(groupsContainer, { onDownloadQueued });
+
+  document.querySelectorAll('.group-select').forEach((checkbox) => {
+    checkbox.addEventListener('change', updateDownloadButton);
+  });
+
+  updateDownloadButton();
+}
+
+function updateDownloadButton() {
+  const selectedGroups = document.querySelectorAll('.group-select:checked');
+  downloadBtn.disabled = selectedGroups.length === 0;
+}
+
+function selectAll(checked) {
+  document.querySelectorAll('.group-select').forEach((checkbox) => {
+    checkbox.checked = checked;
+  });
+  updateDownloadButton();
+}
+
+/**
+ * Set up the group list
+ *
+ * @param {Object} options
+ * @param {Function} options.onDownloadQueued Called with the job of a download that was started
+ */
+export function initGroups(options) {
+  groupsSection = document.getElementById('groups-section');
+  groupsContainer = document.getElementById('groups-container');
+  downloadBtn = document.getElementById('download-btn');
+  onDownloadQueued = options.onDownloadQueued;
+
+  document.getElementById('select-all-btn').addEventListener('click', () => selectAll(true));
+  document.getElementById('deselect-all-btn').addEventListener('click', () => selectAll(false));
+
+  downloadBtn.addEventListener('click', () => {
+    const groupIds = Array.from(document.querySelectorAll('.group-select:checked')).map(
+      (checkbox) => checkbox.dataset.id
+    );
+    const downloadOptions = getDownloadOptions();
+    if (groupIds.length === 0 || downloadOptions.types.length === 0) return;
+
+    postJson('/api/download', { groupIds, ...downloadOptions }).then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      onDownloadQueued(data.job);
+    });
+  });
+}
+
+/**
+ * Show the groups, fetched again with the current token
+ */
+export function loadGroups() {
+  groupsSection.classList.remove('hidden');
+  groupsContainer.innerHTML = '<div class="loading-spinner">Loading groups...</div>';
+
+  getJson('/api/groups')
+    .then((data) => {
+      if (data.groups) {
+        renderGroups(data.groups);
+      } else if (data.error) {
+        groupsContainer.innerHTML = `<div class="error">${escapeHtml(data.error)}</div>`;
+      }
+    })
+    .catch((error) => {
+      groupsContainer.innerHTML = '<div class="error">Failed to load groups</div>';
+      console.error('Error:', error);
+    });
+}
+
+/**
+ * Hide the groups, e.g. once the token is forgotten
+ */
+export function hideGroups() {
+  closePreviews();
+  groupsSection.classList.add('hidden');
+}
@@ -0,0 +1,172 @@
+import { API_BASE, getJson, postJson } from '../api.js';
+import { escapeHtml, formatDate } from '../format.js';
+
+/**
+ * Download jobs, kept up to date over the socket, with buttons to pause,
+ * resume, cancel and reorder them. Downloads that failed are listed above
+ * them until a retry gets them.
+ */
+
+const JOB_ORDER = ['running', 'queued', 'paused'];
+const MAX_JOBS_SHOWN = 30;
+
+const jobs = new Map();
+let jobsRenderPending = false;
+let failedItems = [];
+let jobsSection;
+let jobsContainer;
+
+// Running and queued first, in the order they'll run, then the rest newest first
+function compareJobs(a, b) {
+  const rank = (job) =>
+    JOB_ORDER.includes(job.status) ? JOB_ORDER.indexOf(job.status) : JOB_ORDER.length;
+  const waiting = rank(a) < JOB_ORDER.length;
+  return (
+    rank(a) - rank(b) ||
+    (waiting ? b.priority - a.priority || a.createdAt.localeCompare(b.createdAt) : 0) ||
+    b.createdAt.localeCompare(a.createdAt)
+  );
+}
+
+// Progress comes in for every file, so draw at most once a frame
+function scheduleRenderJobs() {
+  if (jobsRenderPending) return;
+  jobsRenderPending = true;
+  requestAnimationFrame(() => {
+    jobsRenderPending = false;
+    renderJobs();
+  });
+}
+
+function renderJobs() {
+  const sorted = Array.from(jobs.values()).sort(compareJobs).slice(0, MAX_JOBS_SHOWN);
+  jobsSection.classList.toggle('hidden', !sorted.length && !failedItems.length);
+  jobsContainer.innerHTML = sorted.map(renderJob).join('');
+}
+
+function renderJob(job) {
+  const waiting = JOB_ORDER.includes(job.status);
+  const buttons = [
+    waiting
+      ? `<button data-action="priority" data-priority="${job.priority + 1}" title="Run sooner">&#9650;</button>`
+      : '',
+    waiting
+      ? `<button data-action="priority" data-priority="${job.priority - 1}" title="Run later">&#9660;</button>`
+      : '',
+    ['queued', 'running'].includes(job.status) ? '<button data-action="pause">Pause</button>' : '',
+    ['paused', 'failed'].includes(job.status) ? '<button data-action="resume">Resume</button>' : '',
+    waiting ? '<button data-action="cancel">Cancel</button>' : '',
+  ].join('');
+
+  const groups = job.groups
+    .map((group) => {
+      const done = group.completed + group.skipped + group.failed;
+      const percent = group.total
+        ? Math.round((done / group.total) * 100)
+        : group.status === 'done'
+          ? 100
+          : 0;
+      const counts =
+        group.total === null
+          ? ''
+          : ` - ${done}/${group.total}${group.failed ? `, ${group.failed} failed` : ''}`;
+      return `
+        <div class="job-group">
+          <span>${escapeHtml(group.name || group.groupId)}${group.items ? ` (${group.items} picked)` : ''}${group.retry ? ' (failed downloads)' : ''}</span>
+          <span class="job-group-status">${group.status}${counts}</span>
+          <div class="progress-bar job-progress"><div class="progress-fill" style="width: ${percent}%"></div></div>
+          ${group.error ? `<div class="job-error">${escapeHtml(group.error)}</div>` : ''}
+        </div>
+      `;
+    })
+    .join('');
+
+  return `
+    <div class="job" data-id="${job.id}">
+      <div class="job-header">
+        <span class="job-status job-${job.status}">${job.status}</span>
+        <span class="job-created">${escapeHtml(formatDate(job.createdAt))}</span>
+        <span class="job-buttons">${buttons}</span>
+      </div>
+      ${job.error ? `<div class="job-error">${escapeHtml(job.error)}</div>` : ''}
+      ${groups}
+    </div>
+  `;
+}
+
+function loadFailed() {
+  getJson(`${API_BASE}/failed`).then((data) => {
+    failedItems = data.items;
+    const groups = Array.from(new Set(failedItems.map((item) => item.groupName || item.groupId)));
+    document.getElementById('failed-summary').classList.toggle('hidden', !failedItems.length);
+    document.getElementById('failed-count').textContent =
+      `${failedItems.length} downloads failed, from ${groups.join(', ')}`;
+    document.getElementById('failed-list').innerHTML = failedItems
+      .map((item) => {
+        const tries = item.attempts === 1 ? 'once' : `${item.attempts} times`;
+        return `<div class="failed-download">${escapeHtml(item.error)}, tried ${tries}: ${escapeHtml(item.url)}</div>`;
+      })
+      .join('');
+    renderJobs();
+  });
+}
+
+/**
+ * Show a job straight away, before the socket reports on it
+ *
+ * @param {Object} job
+ */
+export function showJob(job) {
+  jobs.set(job.id, job);
+  renderJobs();
+}
+
+/**
+ * Set up the job list
+ *
+ * @param {Object} socket
+ */
+export function initJobs(socket) {
+  jobsSection = document.getElementById('jobs-section');
+  jobsContainer = document.getElementById('jobs-container');
+
+  document.getElementById('retry-failed-btn').addEventListener('click', () => {
+    postJson(`${API_BASE}/failed/retry`, {}).then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      showJob(data.job);
+    });
+  });
+
+  socket.on('downloadCompleted', loadFailed);
+  socket.on('downloadError', loadFailed);
+  loadFailed();
+
+  jobsContainer.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    socket.emit(
+      `job:${button.dataset.action}`,
+      {
+        id: button.closest('.job').dataset.id,
+        priority: Number(button.dataset.priority),
+      },
+      (reply) => {
+        if (reply.error) alert(reply.error);
+      }
+    );
+  });
+
+  socket.on('jobUpdated', (job) => {
+    jobs.set(job.id, job);
+    scheduleRenderJobs();
+  });
+
+  getJson(`${API_BASE}/jobs`).then((data) => {
+    data.jobs.forEach((job) => jobs.set(job.id, job));
+    renderJobs();
+  });
+}
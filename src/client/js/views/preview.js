@@ -0,0 +1,260 @@
+import { getJson, postJson } from '../api.js';
+import { escapeHtml, formatDate, localDay } from '../format.js';
+import { getDownloadOptions } from './settings.js';
+
+/**
+ * A group's photos and videos, loaded as they scroll into view. Items can be
+ * picked, with shift-click for a range, and downloaded on their own.
+ */
+
+// Open previews by group id
+const previews = new Map();
+
+/**
+ * The preview's markup, hidden until it's opened
+ *
+ * @param {String} groupId
+ * @returns {String}
+ */
+export function renderPreviewSection(groupId) {
+  return `
+    <div class="group-preview" id="preview-${escapeHtml(groupId)}">
+      <div class="preview-toolbar">
+        <span class="selection-count"></span>
+        <select class="select-user" title="Select everything loaded so far from one person">
+          <option value="">Select all posted by...</option>
+        </select>
+        <input type="date" class="select-date" title="Select everything loaded so far from one day">
+        <button class="clear-selection-btn">Clear</button>
+        <button class="download-selection-btn" disabled>Download Selected</button>
+      </div>
+      <div class="preview-grid"></div>
+    </div>
+  `;
+}
+
+/**
+ * Stop loading every open preview, before their markup goes
+ */
+export function closePreviews() {
+  previews.forEach((preview) => preview.observer.disconnect());
+  previews.clear();
+}
+
+function togglePreview(groupId, button) {
+  const previewSection = document.getElementById(`preview-${groupId}`);
+  const previewGrid = previewSection.querySelector('.preview-grid');
+
+  if (previewSection.classList.contains('active')) {
+    previewSection.classList.remove('active');
+    previews.get(groupId).observer.disconnect();
+    previews.delete(groupId);
+    button.textContent = 'Preview';
+    return;
+  }
+
+  button.textContent = 'Hide Preview';
+  previewSection.classList.add('active');
+  previewGrid.innerHTML = '<div class="loading-spinner preview-more">Loading media...</div>';
+
+  // More is fetched whenever the end of the grid scrolls into view
+  const preview = {
+    cursor: null,
+    done: false,
+    loading: false,
+    items: [],
+    selected: new Set(),
+    anchor: null,
+    section: previewSection,
+    more: previewGrid.querySelector('.preview-more'),
+  };
+  preview.observer = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        loadPreviewPage(groupId, preview);
+      }
+    },
+    { root: previewSection, rootMargin: '200px' }
+  );
+  preview.observer.observe(preview.more);
+  previews.set(groupId, preview);
+  updateSelection(preview);
+}
+
+function loadPreviewPage(groupId, preview) {
+  if (preview.loading || preview.done) return;
+  preview.loading = true;
+
+  const cursor = preview.cursor ? `?before_id=${preview.cursor}` : '';
+  getJson(`/api/preview/${encodeURIComponent(groupId)}${cursor}`)
+    .then((data) => {
+      if (data.error) throw new Error(data.error);
+
+      const start = preview.items.length;
+      preview.items.push(...data.items);
+      preview.more.insertAdjacentHTML(
+        'beforebegin',
+        data.items.map((item, index) => renderPreviewItem(item, start + index)).join('')
+      );
+      updatePreviewUsers(preview);
+
+      preview.cursor = data.nextCursor;
+      preview.done = !data.nextCursor;
+      if (preview.done) {
+        preview.more.textContent = preview.items.length ? '' : 'No media found in this group';
+      }
+    })
+    .catch((error) => {
+      console.error('Preview error:', error);
+      preview.done = true;
+      preview.more.textContent = 'Failed to load media';
+    })
+    .finally(() => {
+      preview.loading = false;
+      // Observing again reports straight away if the end is still in view
+      if (!preview.done && previews.get(groupId) === preview) {
+        preview.observer.unobserve(preview.more);
+        preview.observer.observe(preview.more);
+      }
+    });
+}
+
+function renderPreviewItem(item, index) {
+  const title = escapeHtml(
+    `${item.user}, ${formatDate(item.created)}${item.caption ? `: ${item.caption}` : ''}`
+  );
+
+  // Shared files need the token to open, so there's nothing to show or link to
+  if (item.type === 'file') {
+    return `<div class="preview-tile preview-file" data-index="${index}" title="${title}">File</div>`;
+  }
+
+  const image = item.type === 'video' ? item.previewUrl : item.url;
+  return `
+    <div class="preview-tile" data-index="${index}" title="${title}">
+      ${image ? `<img src="${escapeHtml(image)}" class="preview-image" alt="" loading="lazy">` : ''}
+      ${item.type === 'video' ? '<span class="tile-badge">&#9654;</span>' : ''}
+      <a class="preview-open" href="${escapeHtml(item.url)}" target="_blank" rel="noopener" title="Open">&#8599;</a>
+    </div>
+  `;
+}
+
+function updatePreviewUsers(preview) {
+  const users = new Map(preview.items.map((item) => [item.userId, item.user]));
+  preview.section.querySelector('.select-user').innerHTML =
+    '<option value="">Select all posted by...</option>' +
+    Array.from(users)
+      .sort(([, a], [, b]) => a.localeCompare(b))
+      .map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`)
+      .join('');
+}
+
+function selectPreviewItems(groupId, matches) {
+  const preview = previews.get(groupId);
+  if (!preview) return;
+
+  preview.items.forEach((item, index) => {
+    if (matches(item)) preview.selected.add(index);
+  });
+  updateSelection(preview);
+}
+
+function updateSelection(preview) {
+  preview.section.querySelectorAll('.preview-tile').forEach((tile) => {
+    tile.classList.toggle('selected', preview.selected.has(Number(tile.dataset.index)));
+  });
+  preview.section.querySelector('.selection-count').textContent = preview.selected.size
+    ? `${preview.selected.size} selected`
+    : 'Click to select, shift-click for a range';
+  preview.section.querySelector('.download-selection-btn').disabled = !preview.selected.size;
+}
+
+function downloadSelection(groupId, onDownloadQueued) {
+  const preview = previews.get(groupId);
+  if (!preview || !preview.selected.size) return;
+
+  // The server looks the items up again, it only needs to know where they are
+  const items = Array.from(preview.selected)
+    .sort((a, b) => a - b)
+    .map((index) => {
+      const { messageId, attachmentIndex } = preview.items[index];
+      return { messageId, attachmentIndex };
+    });
+  const { layout, fileNameTemplate, metadata, outputDir } = getDownloadOptions();
+
+  postJson('/api/download/items', {
+    groupId,
+    items,
+    layout,
+    fileNameTemplate,
+    metadata,
+    outputDir,
+  }).then((data) => {
+    if (data.error) {
+      alert(data.error);
+      return;
+    }
+    preview.selected.clear();
+    updateSelection(preview);
+    onDownloadQueued(data.job);
+  });
+}
+
+/**
+ * Wire up the previews rendered into a container
+ *
+ * @param {Element} container
+ * @param {Object} options
+ * @param {Function} options.onDownloadQueued Called with the job of a download that was started
+ */
+export function bindPreviews(container, { onDownloadQueued }) {
+  container.querySelectorAll('.preview-btn').forEach((button) => {
+    button.addEventListener('click', () => togglePreview(button.dataset.id, button));
+  });
+
+  // Click to pick items, shift-click to pick everything in between
+  container.querySelectorAll('.group-preview').forEach((previewSection) => {
+    const groupId = previewSection.id.slice('preview-'.length);
+
+    previewSection.querySelector('.preview-grid').addEventListener('click', (event) => {
+      const preview = previews.get(groupId);
+      const tile = event.target.closest('.preview-tile');
+      if (!preview || !tile || event.target.closest('.preview-open')) return;
+
+      const index = Number(tile.dataset.index);
+      if (event.shiftKey && preview.anchor !== null) {
+        const [from, to] = [Math.min(preview.anchor, index), Math.max(preview.anchor, index)];
+        for (let i = from; i <= to; i++) {
+          preview.selected.add(i);
+        }
+      } else if (preview.selected.has(index)) {
+        preview.selected.delete(index);
+      } else {
+        preview.selected.add(index);
+      }
+      preview.anchor = index;
+      updateSelection(preview);
+    });
+
+    previewSection.querySelector('.select-user').addEventListener('change', (event) => {
+      selectPreviewItems(groupId, (item) => item.userId === event.target.value);
+      event.target.value = '';
+    });
+
+    previewSection.querySelector('.select-date').addEventListener('change', (event) => {
+      selectPreviewItems(groupId, (item) => localDay(item.created) === event.target.value);
+      event.target.value = '';
+    });
+
+    previewSection.querySelector('.clear-selection-btn').addEventListener('click', () => {
+      const preview = previews.get(groupId);
+      if (!preview) return;
+      preview.selected.clear();
+      updateSelection(preview);
+    });
+
+    previewSection.querySelector('.download-selection-btn').addEventListener('click', () => {
+      downloadSelection(groupId, onDownloadQueued);
+    });
+  });
+}
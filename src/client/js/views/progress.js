@@ -0,0 +1,203 @@
+import { escapeHtml, formatBytes, formatDuration } from '../format.js';
+
+/**
+ * Live view of the group being downloaded, built from the downloader's
+ * events: every file in flight, the speed, the time left and what failed.
+ * The server's log is shown underneath.
+ */
+
+const SPEED_WINDOW = 5000;
+const MAX_FAILURES_SHOWN = 20;
+
+const transfer = {
+  totals: { completed: 0, skipped: 0, failed: 0, total: 0 },
+  active: new Map(), // Files being fetched, by index in the group's list
+  samples: [], // { time, bytes } received, for the speed
+  failures: [],
+  retrying: null, // Last round of retries announced
+  startedAt: 0,
+  fetched: 0, // Files fetched or given up on, skipped ones take no time
+  renderPending: false,
+};
+
+let progressSection;
+
+function addBytes(bytes) {
+  if (bytes > 0) transfer.samples.push({ time: Date.now(), bytes });
+}
+
+function downloadSpeed() {
+  const now = Date.now();
+  transfer.samples = transfer.samples.filter((sample) => now - sample.time < SPEED_WINDOW);
+  const span = Math.min(SPEED_WINDOW, now - transfer.startedAt) / 1000;
+  const bytes = transfer.samples.reduce((sum, sample) => sum + sample.bytes, 0);
+  return span > 0 ? bytes / span : 0;
+}
+
+// Progress comes in for every chunk, so draw at most once a frame
+function scheduleRenderTransfer() {
+  if (transfer.renderPending) return;
+  transfer.renderPending = true;
+  requestAnimationFrame(() => {
+    transfer.renderPending = false;
+    renderTransfer();
+  });
+}
+
+function renderTransfer() {
+  const { completed, skipped, failed, total } = transfer.totals;
+  const done = completed + skipped + failed;
+  document.getElementById('completed-media').textContent = done;
+  document.getElementById('total-media').textContent = total;
+  document.getElementById('media-progress-fill').style.width =
+    (total ? (done / total) * 100 : 0) + '%';
+  document.getElementById('media-counts').textContent =
+    `${completed} downloaded, ${skipped} skipped, ${failed} failed`;
+
+  const running = transfer.active.size > 0 || (done < total && transfer.startedAt);
+  const speed = downloadSpeed();
+  document.getElementById('download-speed').textContent = running ? `${formatBytes(speed)}/s` : '';
+
+  // Time per file so far, for the files still to go
+  const elapsed = (Date.now() - transfer.startedAt) / 1000;
+  const eta = transfer.fetched ? ((total - done) * elapsed) / transfer.fetched : null;
+  document.getElementById('download-eta').textContent = transfer.retrying
+    ? `retrying ${transfer.retrying.count} failed downloads (round ${transfer.retrying.round})`
+    : running && eta !== null
+      ? `about ${formatDuration(eta)} left`
+      : '';
+
+  document.getElementById('active-downloads').innerHTML = Array.from(transfer.active.values())
+    .map((item) => {
+      const percent = item.totalBytes
+        ? Math.round((item.receivedBytes / item.totalBytes) * 100)
+        : 0;
+      const size = item.totalBytes
+        ? `${formatBytes(item.receivedBytes)} of ${formatBytes(item.totalBytes)}`
+        : formatBytes(item.receivedBytes);
+      return `
+        <div class="active-download">
+          <span class="active-download-name" title="${escapeHtml(item.fileName)}">${escapeHtml(item.fileName)}</span>
+          <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+          <span>${size}</span>
+        </div>
+      `;
+    })
+    .join('');
+
+  document.getElementById('failed-downloads').innerHTML = transfer.failures
+    .slice(-MAX_FAILURES_SHOWN)
+    .map(
+      (failure) => `
+        <div class="failed-download">${escapeHtml(failure.reason || 'Failed')}${failure.attempts > 1 ? ` (attempt ${failure.attempts})` : ''}: ${escapeHtml(failure.url)}</div>
+      `
+    )
+    .join('');
+}
+
+function onDownloadEvent(event) {
+  const item = transfer.active.get(event.index);
+
+  if (event.type === 'groupStarted') {
+    progressSection.classList.remove('hidden');
+    transfer.totals = { completed: 0, skipped: 0, failed: 0, total: event.total };
+    transfer.active.clear();
+    transfer.samples = [];
+    transfer.failures = [];
+    transfer.retrying = null;
+    transfer.startedAt = Date.now();
+    transfer.fetched = 0;
+  } else if (event.type === 'itemStarted') {
+    // A resumed download already has part of the file, that doesn't count towards the speed
+    transfer.active.set(event.index, {
+      fileName: event.fileName,
+      receivedBytes: event.resumeFrom || 0,
+      totalBytes: null,
+    });
+  } else if (event.type === 'itemProgress' && item) {
+    addBytes(event.receivedBytes - item.receivedBytes);
+    item.receivedBytes = event.receivedBytes;
+    item.totalBytes = event.totalBytes;
+  } else if (event.type === 'retrying') {
+    transfer.retrying = event;
+  } else if (['itemCompleted', 'itemSkipped', 'itemFailed'].includes(event.type)) {
+    // A retry that worked takes the file off the failures
+    transfer.failures = transfer.failures.filter((failure) => failure.url !== event.url);
+    if (event.type === 'itemCompleted') {
+      addBytes(event.bytes - (item ? item.receivedBytes : 0));
+    }
+    if (event.type === 'itemFailed') {
+      transfer.failures.push({ url: event.url, reason: event.reason, attempts: event.attempts });
+    }
+    if (event.type !== 'itemSkipped') {
+      transfer.fetched++;
+    }
+    transfer.active.delete(event.index);
+    transfer.totals = event.totals;
+  } else if (event.type === 'groupFinished') {
+    transfer.active.clear();
+    transfer.retrying = null;
+    transfer.totals = event.totals;
+    transfer.startedAt = 0;
+  }
+
+  scheduleRenderTransfer();
+}
+
+// The dot next to each group: downloading, or downloaded
+function setGroupStatus(groupId, status) {
+  const indicator = document.getElementById(`status-${groupId}`);
+  if (indicator) {
+    indicator.classList.toggle('downloading', status === 'downloading');
+    indicator.classList.toggle('downloaded', status === 'downloaded');
+  }
+}
+
+/**
+ * Follow downloads over the socket
+ *
+ * @param {Object} socket
+ */
+export function initProgress(socket) {
+  progressSection = document.getElementById('progress-section');
+  const logOutput = document.getElementById('log-output');
+
+  socket.on('log', (data) => {
+    const entry = document.createElement('div');
+    entry.className = 'log-entry';
+    entry.textContent = data.message;
+    logOutput.appendChild(entry);
+    logOutput.scrollTop = logOutput.scrollHeight;
+  });
+
+  socket.on('downloadStarted', (data) => {
+    progressSection.classList.remove('hidden');
+    document.getElementById('total-groups').textContent = data.totalGroups;
+    document.getElementById('current-group').textContent = '0';
+  });
+
+  socket.on('groupProcessing', (data) => {
+    setGroupStatus(data.groupId, 'downloading');
+    document.getElementById('current-group').textContent = data.current;
+    document.getElementById('group-progress-fill').style.width =
+      (data.current / data.total) * 100 + '%';
+  });
+
+  socket.on('mediaProcessing', (data) => {
+    setGroupStatus(data.groupId, data.remaining === 0 ? 'downloaded' : 'downloading');
+  });
+
+  socket.on('downloadEvent', onDownloadEvent);
+
+  // The speed drops off while a big file is quiet between updates
+  setInterval(() => {
+    if (transfer.active.size) renderTransfer();
+  }, 1000);
+
+  socket.on('downloadCompleted', () => {
+    document.querySelectorAll('.download-status.downloading').forEach((indicator) => {
+      indicator.classList.remove('downloading');
+      indicator.classList.add('downloaded');
+    });
+  });
+}
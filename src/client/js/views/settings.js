@@ -0,0 +1,178 @@
+import { deleteJson, getJson, postJson } from '../api.js';
+import { escapeHtml } from '../format.js';
+
+/**
+ * The account picker with its token, and the download options every
+ * download is started with. Tokens only ever come back masked.
+ */
+
+// The "New account" choice
+const NEW_PROFILE = '';
+
+let tokenInput;
+let profileSelect;
+let profileNameInput;
+let forgetTokenBtn;
+let tokenStatus;
+
+/**
+ * Fill in the accounts
+ *
+ * @returns {Promise<Boolean>} Whether the active account has a token
+ */
+function loadProfiles() {
+  return getJson('/api/profiles').then((data) => {
+    renderProfiles(data);
+    return data.profiles.some((profile) => profile.active);
+  });
+}
+
+function renderProfiles({ active, profiles }) {
+  const names = profiles.map((profile) => profile.name);
+  // Picked, but no token saved for it yet
+  if (!names.includes(active)) names.push(active);
+
+  profileSelect.innerHTML =
+    names
+      .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('') + `<option value="${NEW_PROFILE}">New account...</option>`;
+  profileSelect.value = active;
+  profileNameInput.classList.add('hidden');
+  profileNameInput.value = '';
+
+  const current = profiles.find((profile) => profile.active);
+  tokenInput.value = '';
+  tokenInput.placeholder = current
+    ? 'Enter a new token to replace the saved one'
+    : 'Enter your GroupMe API token';
+  tokenStatus.textContent = current
+    ? `Saved token: ${current.token}`
+    : 'No token saved for this account yet';
+  forgetTokenBtn.disabled = !current;
+}
+
+/**
+ * Set up the account picker
+ *
+ * @param {Object} options
+ * @param {Object} options.socket
+ * @param {Function} options.onTokenReady Called when there's a token to list groups with
+ * @param {Function} options.onTokenForgotten Called when the token is gone
+ */
+export function initSettings({ socket, onTokenReady, onTokenForgotten }) {
+  tokenInput = document.getElementById('token-input');
+  profileSelect = document.getElementById('profile-select');
+  profileNameInput = document.getElementById('profile-name-input');
+  forgetTokenBtn = document.getElementById('forget-token-btn');
+  tokenStatus = document.getElementById('token-status');
+
+  loadProfiles().then((hasToken) => {
+    if (hasToken) onTokenReady();
+  });
+
+  profileSelect.addEventListener('change', () => {
+    if (profileSelect.value === NEW_PROFILE) {
+      profileNameInput.classList.remove('hidden');
+      profileNameInput.focus();
+      tokenInput.value = '';
+      tokenStatus.textContent = 'Name the account, then save its token';
+      forgetTokenBtn.disabled = true;
+      return;
+    }
+
+    postJson('/api/profiles/active', { name: profileSelect.value })
+      .then((data) => {
+        if (data.error) alert(data.error);
+        return loadProfiles();
+      })
+      .then((hasToken) => {
+        if (hasToken) onTokenReady();
+      });
+  });
+
+  document.getElementById('save-token-btn').addEventListener('click', () => {
+    const token = tokenInput.value.trim();
+    if (!token) return;
+
+    const profile =
+      profileSelect.value === NEW_PROFILE ? profileNameInput.value.trim() : profileSelect.value;
+    if (!profile) {
+      alert('Name the new account first');
+      return;
+    }
+
+    postJson('/api/token', { token, profile }).then((data) => {
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+      loadProfiles().then(() => onTokenReady());
+    });
+  });
+
+  forgetTokenBtn.addEventListener('click', () => {
+    const profile = profileSelect.value;
+    if (!confirm(`Forget the token saved for ${profile}?`)) return;
+
+    deleteJson(`/api/profiles/${encodeURIComponent(profile)}`).then((data) => {
+      if (data.error) alert(data.error);
+      onTokenForgotten();
+      return loadProfiles();
+    });
+  });
+
+  // Refused, most likely because the server was restarted with a new secret
+  socket.on('connect_error', () => {
+    tokenStatus.textContent =
+      'Lost the connection to the downloader. If it was restarted, open the new link printed where it was started.';
+  });
+}
+
+/**
+ * What to download and how, from the download options
+ *
+ * @returns {Object} See the server's /api/download
+ */
+export function getDownloadOptions() {
+  const value = (id) => document.getElementById(id).value.trim() || undefined;
+  const checked = (id) => document.getElementById(id).checked;
+
+  return {
+    types: Array.from(document.querySelectorAll('.media-type:checked')).map(
+      (checkbox) => checkbox.value
+    ),
+    filters: getDownloadFilters(),
+    layout: document.getElementById('layout-select').value,
+    fileNameTemplate: value('filename-template'),
+    exportFormats: checked('export-transcript') ? ['json', 'html', 'txt'] : undefined,
+    metadata: checked('save-metadata') ? ['sidecar', 'embed'] : undefined,
+    outputDir: value('output-dir'),
+  };
+}
+
+/**
+ * @returns {Object|undefined} The filters, when any are set
+ */
+function getDownloadFilters() {
+  const list = (id) =>
+    document
+      .getElementById(id)
+      .value.split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  const filters = {
+    since: document.getElementById('filter-since').value || undefined,
+    until: document.getElementById('filter-until').value || undefined,
+    users: list('filter-users'),
+    excludeUsers: list('filter-exclude-users'),
+    minLikes: Number(document.getElementById('filter-min-likes').value) || undefined,
+  };
+
+  const isSet =
+    filters.since ||
+    filters.until ||
+    filters.users.length ||
+    filters.excludeUsers.length ||
+    filters.minLikes;
+  return isSet ? filters : undefined;
+}
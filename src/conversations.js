@@ -0,0 +1,95 @@
+import apiRequest from './request';
+import { DM_PREFIX } from './media-list-builder';
+
+const PER_PAGE = 10;
+
+/**
+ * Small delay between requests
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Walk a paginated list endpoint until it runs dry
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {String} endpoint 'groups' or 'chats'
+ * @returns {Promise<Array>} Everything the endpoint returned
+ */
+async function fetchAllPages(token, endpoint) {
+  let allItems = [];
+  let page = 1;
+
+  while (true) {
+    console.log(`Fetching ${endpoint} page ${page}...`);
+
+    if (page > 1) {
+      await delay(1000);
+    }
+
+    const response = await apiRequest(token, endpoint, {
+      page: page,
+      per_page: PER_PAGE
+    });
+
+    if (response.status === 401) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const data = await response.json();
+    const items = data.response;
+
+    if (!items || items.length === 0) {
+      break;
+    }
+
+    allItems = [...allItems, ...items];
+
+    // If we got fewer items than requested, we've hit the last page
+    if (items.length < PER_PAGE) {
+      break;
+    }
+
+    page++;
+  }
+
+  return allItems;
+}
+
+/**
+ * Fetch every group the token has access to
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @returns {Promise<Array>} { id, name, kind: 'group' }
+ */
+export async function fetchAllGroups(token) {
+  const groups = await fetchAllPages(token, 'groups');
+  return groups.map(({ id, name }) => ({ id, name, kind: 'group' }));
+}
+
+/**
+ * Fetch every one-to-one chat the token has access to. Their ids are
+ * prefixed with DM_PREFIX, which is what the rest of the app expects.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @returns {Promise<Array>} { id, name, kind: 'dm' }
+ */
+export async function fetchAllChats(token) {
+  const chats = await fetchAllPages(token, 'chats');
+  return chats.map(({ other_user }) => ({
+    id: `${DM_PREFIX}${other_user.id}`,
+    name: other_user.name,
+    kind: 'dm',
+  }));
+}
+
+/**
+ * Groups first, then direct messages
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @returns {Promise<Array>} { id, name, kind }
+ */
+export async function fetchAllConversations(token) {
+  const groups = await fetchAllGroups(token);
+  const chats = await fetchAllChats(token);
+  return [...groups, ...chats];
+}
@@ -1,112 +1,492 @@
 import fs from 'fs';
-import lowdb from 'lowdb';
-import FileSync from 'lowdb/adapters/FileSync';
+import path from 'path';
+import chalk from 'chalk';
+import Database from 'better-sqlite3';
 
-let adapter, db;
+/**
+ * Everything the app remembers lives in a SQLite database, written a row at a
+ * time inside transactions, so a crash mid-write can't take the rest with it.
+ * Records are stored as JSON next to the columns they're looked up by.
+ *
+ * Databases from older versions are brought up to date by MIGRATIONS, and a
+ * data/groups.json from before SQLite is imported the first time.
+ */
+
+export const DATA_DIR = './data';
+const DB_FILE = path.join(DATA_DIR, 'groupme.db');
+const LEGACY_DB_FILE = path.join(DATA_DIR, 'groups.json');
 
 /**
- * If a local DB doesn't exist, create it.
+ * Schema changes, in order. The database's user_version is how many have run.
  */
-const createDb = () => {
-  const DB_FILE = './data/groups.json';
-  const scaffoldData = '{ "groups": [], "token": "" }';
-  const hasDb = fs.existsSync(DB_FILE);
-
-  if (!hasDb) {
-    fs.mkdirSync('./data');
-    fs.writeFileSync(DB_FILE, scaffoldData, (error) => {
-      if (error) throw error;
-      console.log(chalk.green(`Successfuly wrote: ${chalk.white('data/groups.json')}`));
+const MIGRATIONS = [
+  // Everything groups.json had
+  `
+  CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE groups (id TEXT PRIMARY KEY);
+  CREATE TABLE media (
+    group_id TEXT NOT NULL REFERENCES groups (id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    item TEXT NOT NULL,
+    PRIMARY KEY (group_id, url)
+  );
+  CREATE TABLE sync (group_id TEXT PRIMARY KEY, state TEXT NOT NULL);
+  CREATE TABLE manifest (key TEXT PRIMARY KEY, group_id TEXT, entry TEXT NOT NULL);
+  CREATE INDEX manifest_group ON manifest (group_id);
+  CREATE TABLE failed (key TEXT PRIMARY KEY, group_id TEXT, entry TEXT NOT NULL);
+  CREATE INDEX failed_group ON failed (group_id);
+  CREATE TABLE jobs (id TEXT PRIMARY KEY, status TEXT NOT NULL, job TEXT NOT NULL);
+  CREATE INDEX jobs_status ON jobs (status);
+  `,
+  // Tokens by profile, see ./token-store. The plaintext token setting is moved there on first use
+  `
+  CREATE TABLE profiles (name TEXT PRIMARY KEY, profile TEXT NOT NULL);
+  `,
+  // Keys for the REST API, see ./api-keys. Only their hashes are kept
+  `
+  CREATE TABLE api_keys (id TEXT PRIMARY KEY, hash TEXT NOT NULL UNIQUE, key TEXT NOT NULL);
+  `,
+  // Media is read a group at a time, in order. There's no status to index: an item is
+  // pending while it's in media, it's removed once done and failures are kept in failed
+  `
+  CREATE INDEX media_group_position ON media (group_id, position);
+  `,
+];
+
+let db, statements;
+
+/**
+ * Bring the schema up to date
+ */
+const migrate = () => {
+  const version = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(version).forEach((migration, index) => {
+    db.transaction(() => {
+      db.exec(migration);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+};
+
+/**
+ * Prepare the queries the module uses
+ */
+const prepareStatements = () => {
+  const sql = {
+    getSetting: 'SELECT value FROM settings WHERE key = ?',
+    setSetting: 'INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+    deleteSetting: 'DELETE FROM settings WHERE key = ?',
+    getGroup: 'SELECT id FROM groups WHERE id = ?',
+    createGroup: 'INSERT OR IGNORE INTO groups (id) VALUES (?)',
+    deleteGroup: 'DELETE FROM groups WHERE id = ?',
+    getMedia: 'SELECT item FROM media WHERE group_id = ? ORDER BY position',
+    addMediaItem:
+      'INSERT OR REPLACE INTO media (group_id, url, position, item) VALUES (?, ?, ?, ?)',
+    clearMedia: 'DELETE FROM media WHERE group_id = ?',
+    removeMediaItem: 'DELETE FROM media WHERE group_id = ? AND url = ?',
+    getSyncState: 'SELECT state FROM sync WHERE group_id = ?',
+    getSyncStates: 'SELECT group_id AS key, state AS value FROM sync',
+    setSyncState: 'INSERT OR REPLACE INTO sync (group_id, state) VALUES (?, ?)',
+    getManifestEntry: 'SELECT entry FROM manifest WHERE key = ?',
+    getManifestEntries: 'SELECT key, entry AS value FROM manifest',
+    getGroupManifestEntries: 'SELECT key, entry AS value FROM manifest WHERE group_id = ?',
+    setManifestEntry: 'INSERT OR REPLACE INTO manifest (key, group_id, entry) VALUES (?, ?, ?)',
+    removeManifestEntry: 'DELETE FROM manifest WHERE key = ?',
+    getFailedItem: 'SELECT entry FROM failed WHERE key = ?',
+    getFailedItems: 'SELECT key, entry AS value FROM failed',
+    getGroupFailedItems: 'SELECT key, entry AS value FROM failed WHERE group_id = ?',
+    setFailedItem: 'INSERT OR REPLACE INTO failed (key, group_id, entry) VALUES (?, ?, ?)',
+    removeFailedItem: 'DELETE FROM failed WHERE key = ?',
+    getJob: 'SELECT job FROM jobs WHERE id = ?',
+    getJobs: 'SELECT id AS key, job AS value FROM jobs',
+    setJob: 'INSERT OR REPLACE INTO jobs (id, status, job) VALUES (?, ?, ?)',
+    getProfile: 'SELECT profile FROM profiles WHERE name = ?',
+    getProfiles: 'SELECT name AS key, profile AS value FROM profiles',
+    setProfile: 'INSERT OR REPLACE INTO profiles (name, profile) VALUES (?, ?)',
+    deleteProfile: 'DELETE FROM profiles WHERE name = ?',
+    getApiKeyByHash: 'SELECT key FROM api_keys WHERE hash = ?',
+    getApiKeys: 'SELECT id AS key, key AS value FROM api_keys',
+    setApiKey: 'INSERT OR REPLACE INTO api_keys (id, hash, key) VALUES (?, ?, ?)',
+    deleteApiKey: 'DELETE FROM api_keys WHERE id = ?',
+  };
+
+  statements = Object.keys(sql).reduce((prepared, name) => {
+    prepared[name] = db.prepare(sql[name]);
+    return prepared;
+  }, {});
+};
+
+/**
+ * Read a JSON column, undefined when there's no row
+ * @param {Object} row
+ * @param {String} column
+ */
+const parse = (row, column) => (row ? JSON.parse(row[column]) : undefined);
+
+/**
+ * Rows of key and JSON value as an object keyed by key
+ * @param {Array} rows
+ */
+const keyed = (rows) =>
+  rows.reduce((result, { key, value }) => {
+    result[key] = JSON.parse(value);
+    return result;
+  }, {});
+
+/**
+ * Copy a data/groups.json from before SQLite into the database. The old file
+ * is kept next to it, renamed, in case anything went missing.
+ */
+const importLegacyDb = () => {
+  const { token, ...data } = JSON.parse(fs.readFileSync(LEGACY_DB_FILE, 'utf8'));
+
+  db.transaction(() => {
+    // Left as it was for ./token-store to pick up and encrypt
+    if (token) {
+      statements.setSetting.run('token', token);
+    }
+    (data.groups || []).forEach(({ id, media }) => {
+      createGroup(id);
+      // Nothing to download without a URL, and the table won't take one
+      const items = media || [];
+      const downloadable = items.filter((item) => item && item.url);
+      if (downloadable.length < items.length) {
+        const count = items.length - downloadable.length;
+        console.log(chalk.yellow(`Left out ${count} media items of group ${id} without a URL`));
+      }
+      addMedia(id, downloadable);
     });
+    // Stored as they are, setSyncState would stamp them as synced now
+    Object.keys(data.sync || {}).forEach((id) => {
+      statements.setSyncState.run(id, JSON.stringify(data.sync[id]));
+    });
+    Object.keys(data.manifest || {}).forEach((key) => setManifestEntry(key, data.manifest[key]));
+    Object.keys(data.failed || {}).forEach((key) => setFailedItem(key, data.failed[key]));
+    Object.keys(data.jobs || {}).forEach((id) => setJob(id, data.jobs[id]));
+  })();
+
+  // The copy leaves the token out, that's what the token store is for
+  const importedFile = `${LEGACY_DB_FILE}.imported`;
+  fs.writeFileSync(importedFile, JSON.stringify(data));
+  fs.unlinkSync(LEGACY_DB_FILE);
+  console.log(
+    chalk.green(`Moved ${LEGACY_DB_FILE} into ${DB_FILE}, the old file is kept as ${importedFile}`)
+  );
+};
+
+/**
+ * Open the local DB, creating it if it doesn't exist yet.
+ */
+const createDb = () => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  db = new Database(DB_FILE);
+  // Writes go to a log first, so an interrupted one never leaves the database half written
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  // Deleted rows are zeroed, so a token that's been removed can't be read back out of the file
+  db.pragma('secure_delete = ON');
+
+  migrate();
+  prepareStatements();
+
+  if (fs.existsSync(LEGACY_DB_FILE)) {
+    importLegacyDb();
   }
+};
 
-  adapter = new FileSync(DB_FILE);
-  db = lowdb(adapter);
+/**
+ * Grab the developer token older versions kept in plain text, if it's still there
+ */
+const getPlaintextToken = () => {
+  const row = statements.getSetting.get('token');
+  return row ? row.value : '';
+};
+
+/**
+ * Nuke the plaintext token once it's stored safely, and flush it out of the write-ahead log
+ */
+const deletePlaintextToken = () => {
+  statements.deleteSetting.run('token');
+  db.pragma('wal_checkpoint(TRUNCATE)');
 };
 
 /**
- * Cache off the user's developer token
- * @param {String} token
+ * Save how a profile's token is stored, see ./token-store
+ * @param {String} name
+ * @param {Object} profile
  */
-const setToken = (token) => {
-  db.set('token', token).write();
+const setProfile = (name, profile) => {
+  statements.setProfile.run(name, JSON.stringify(profile));
 };
 
 /**
- * Grab the user's developer token
+ * Grab a profile by name
+ * @param {String} name
  */
-const getToken = () => db.get('token').value();
+const getProfile = (name) => parse(statements.getProfile.get(name), 'profile');
 
 /**
- * Nuke the user's developer token
+ * Every profile, keyed by name
  */
-const deleteToken = () => {
-  db.unset('token');
+const getProfiles = () => keyed(statements.getProfiles.all());
+
+/**
+ * Nuke a profile
+ * @param {String} name
+ */
+const deleteProfile = (name) => {
+  statements.deleteProfile.run(name);
 };
 
 /**
- * Create a new group in the groups array by ID
- * @param {String} id
+ * Remember which profile's token to use
+ * @param {String} name
  */
-const createGroup = (id) => {
-  const groupExists = db.get('groups').find({ id }).value();
+const setActiveProfile = (name) => {
+  statements.setSetting.run('profile', name);
+};
 
-  if (!!groupExists) {
-    return;
-  }
+/**
+ * Grab the profile in use, if one was picked
+ */
+const getActiveProfile = () => {
+  const row = statements.getSetting.get('profile');
+  return row ? row.value : '';
+};
 
-  db.get('groups').push({ id, media: [] }).write();
+/**
+ * Create a new group by ID
+ * @param {String} id
+ */
+const createGroup = (id) => {
+  statements.createGroup.run(id);
 };
 
 /**
- * Nuke a group once we're done with it
+ * Nuke a group once we're done with it, its media goes with it
  * @param {String} id
  */
 const deleteGroup = (id) => {
-  db.get('groups').remove({ id }).write();
+  statements.deleteGroup.run(id);
 };
 
 /**
- * Add media to download to a group by id
+ * Set the media to download for a group by id, replacing what was there
  * @param {String} id
- * @param {Object} media
+ * @param {Array} media
  */
 const addMedia = (id, media) => {
-  db.get('groups').find({ id }).set('media', media).write();
+  if (!statements.getGroup.get(id)) {
+    return;
+  }
+
+  db.transaction(() => {
+    statements.clearMedia.run(id);
+    media.forEach((item, position) => {
+      statements.addMediaItem.run(id, item.url, position, JSON.stringify(item));
+    });
+  })();
 };
 
 /**
  * Gets the group by id
  * @param {String} id
- * @param {Object} group
  */
-const getGroup = (id) => db.get('groups').find({ id }).value();
+const getGroup = (id) => (statements.getGroup.get(id) ? { id, media: getMedia(id) } : undefined);
 
 /**
  * Grab media to download by group
  * @param {String} id
- * @param {Object} media
  */
-const getMedia = (id) => db.get('groups').find({ id }).get('media').value();
+const getMedia = (id) => {
+  if (!statements.getGroup.get(id)) {
+    return undefined;
+  }
+  return statements.getMedia.all(id).map((row) => JSON.parse(row.item));
+};
 
 /**
- * Nuke an image or video to download to a group by url
+ * Nuke an image or video to download from a group by url
  * @param {String} id
  * @param {Object} item
  */
 const removeMediaItem = (id, { url }) => {
-  db.get('groups').find({ id }).get('media').remove({ url }).write();
+  statements.removeMediaItem.run(id, url);
 };
 
+/**
+ * Remember how far a group has been downloaded, so the next sync
+ * only has to look at newer messages
+ * @param {String} id
+ * @param {Object} state
+ * @param {String} state.lastMessageId Newest message seen in the last completed run
+ * @param {String} state.name Group name, for listing
+ * @param {Object} state.options Download options used, reused by sync
+ */
+const setSyncState = (id, state) => {
+  statements.setSyncState.run(id, JSON.stringify({ ...state, syncedAt: new Date().toISOString() }));
+};
+
+/**
+ * Grab how far a group has been downloaded
+ * @param {String} id
+ */
+const getSyncState = (id) => parse(statements.getSyncState.get(id), 'state');
+
+/**
+ * Every group that's been downloaded before, keyed by id
+ */
+const getSyncStates = () => keyed(statements.getSyncStates.all());
+
+/**
+ * Record a downloaded file by its GroupMe hash
+ * @param {String} key GroupMe hash, or URL when there is none
+ * @param {Object} entry Path, checksum, size and the media item it came from
+ */
+const setManifestEntry = (key, entry) => {
+  statements.setManifestEntry.run(key, entry.groupId || null, JSON.stringify(entry));
+};
+
+/**
+ * Grab a downloaded file by its GroupMe hash
+ * @param {String} key
+ */
+const getManifestEntry = (key) => parse(statements.getManifestEntry.get(key), 'entry');
+
+/**
+ * Every downloaded file, keyed by GroupMe hash
+ * @param {String} groupId (optional) Only the files of this group
+ */
+const getManifestEntries = (groupId) => {
+  const rows = groupId
+    ? statements.getGroupManifestEntries.all(groupId)
+    : statements.getManifestEntries.all();
+  return keyed(rows);
+};
+
+/**
+ * Forget a downloaded file, so it's fetched again
+ * @param {String} key
+ */
+const removeManifestEntry = (key) => {
+  statements.removeManifestEntry.run(key);
+};
+
+/**
+ * Record a download that failed, keyed like the manifest
+ * @param {String} key GroupMe hash, or URL when there is none
+ * @param {Object} entry The media item, the error and how often it was tried
+ */
+const setFailedItem = (key, entry) => {
+  statements.setFailedItem.run(key, entry.groupId || null, JSON.stringify(entry));
+};
+
+/**
+ * Grab a failed download by its GroupMe hash
+ * @param {String} key
+ */
+const getFailedItem = (key) => parse(statements.getFailedItem.get(key), 'entry');
+
+/**
+ * Every failed download, keyed by GroupMe hash
+ * @param {String} groupId (optional) Only the failures of this group
+ */
+const getFailedItems = (groupId) => {
+  const rows = groupId
+    ? statements.getGroupFailedItems.all(groupId)
+    : statements.getFailedItems.all();
+  return keyed(rows);
+};
+
+/**
+ * Forget a failed download, once it's been downloaded after all
+ * @param {String} key
+ */
+const removeFailedItem = (key) => {
+  statements.removeFailedItem.run(key);
+};
+
+/**
+ * Save a download job, see ./jobs
+ * @param {String} id
+ * @param {Object} job
+ */
+const setJob = (id, job) => {
+  statements.setJob.run(id, job.status, JSON.stringify(job));
+};
+
+/**
+ * Grab a download job by id
+ * @param {String} id
+ */
+const getJob = (id) => parse(statements.getJob.get(id), 'job');
+
+/**
+ * Every download job, keyed by id
+ */
+const getJobs = () => keyed(statements.getJobs.all());
+
+/**
+ * Save an API key by its hash, see ./api-keys
+ * @param {Object} apiKey
+ */
+const setApiKey = (apiKey) => {
+  statements.setApiKey.run(apiKey.id, apiKey.hash, JSON.stringify(apiKey));
+};
+
+/**
+ * Grab an API key by its hash
+ * @param {String} hash
+ */
+const getApiKeyByHash = (hash) => parse(statements.getApiKeyByHash.get(hash), 'key');
+
+/**
+ * Every API key, keyed by id
+ */
+const getApiKeys = () => keyed(statements.getApiKeys.all());
+
+/**
+ * Nuke an API key
+ * @param {String} id
+ * @returns {Boolean} Whether there was such a key
+ */
+const deleteApiKey = (id) => statements.deleteApiKey.run(id).changes > 0;
+
 export default {
   addMedia,
   createDb,
   createGroup,
+  deleteApiKey,
   deleteGroup,
-  deleteToken,
+  deletePlaintextToken,
+  deleteProfile,
+  getActiveProfile,
+  getApiKeyByHash,
+  getApiKeys,
+  getFailedItem,
+  getFailedItems,
   getGroup,
+  getJob,
+  getJobs,
+  getManifestEntries,
+  getManifestEntry,
   getMedia,
-  getToken,
+  getPlaintextToken,
+  getProfile,
+  getProfiles,
+  getSyncState,
+  getSyncStates,
+  removeFailedItem,
+  removeManifestEntry,
   removeMediaItem,
-  setToken,
+  setActiveProfile,
+  setApiKey,
+  setFailedItem,
+  setJob,
+  setManifestEntry,
+  setProfile,
+  setSyncState,
 };
@@ -0,0 +1,138 @@
+import path from 'path';
+import { getCreatedDate } from './media-organizer';
+import { createStorage } from './storage';
+import db from './db';
+
+/**
+ * The GUI's gallery is built from the manifest rather than from GroupMe, so an
+ * archive can still be browsed after a group is deleted.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Manifest entries of a group, newest first
+ *
+ * @param {String} groupId GroupMe Conversation ID
+ * @returns {Array} [key, entry] pairs
+ */
+function getGroupEntries(groupId) {
+  const entries = db.getManifestEntries(groupId) || {};
+
+  return Object.keys(entries)
+    .map((key) => [key, entries[key]])
+    .sort(([, a], [, b]) => getCreatedDate(b.item || {}) - getCreatedDate(a.item || {}));
+}
+
+/**
+ * Every group with downloaded files
+ *
+ * @returns {Array} { id, name, count }
+ */
+export function listArchivedGroups() {
+  const entries = db.getManifestEntries() || {};
+  const groups = {};
+
+  Object.keys(entries).forEach((key) => {
+    const { groupId, groupName } = entries[key];
+    if (!groups[groupId]) {
+      const syncState = db.getSyncState(groupId);
+      groups[groupId] = { id: groupId, name: (syncState && syncState.name) || groupName, count: 0 };
+    }
+    groups[groupId].count++;
+  });
+
+  return Object.values(groups).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A page of a group's downloaded files
+ *
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {Object} query
+ * @param {Number} query.page Page number, from 1
+ * @param {Number} query.pageSize Items per page
+ * @param {String} query.user Only files posted by this user id
+ * @param {String} query.from Only files posted on or after this day, yyyy-MM-dd
+ * @param {String} query.to Only files posted on or before this day, yyyy-MM-dd
+ * @param {String} query.type Only this kind of attachment, see MEDIA_TYPES
+ * @returns {Object} { items, total, page, pageSize, users }
+ */
+export function listGalleryItems(
+  groupId,
+  { page = 1, pageSize = DEFAULT_PAGE_SIZE, user, from, to, type } = {}
+) {
+  const entries = getGroupEntries(groupId);
+  const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const fromDate = from ? new Date(`${from}T00:00:00`) : null;
+  const toDate = to ? new Date(`${to}T23:59:59.999`) : null;
+
+  // Everyone who posted anything, for the filter, whatever is filtered right now
+  const users = {};
+  entries.forEach(([, { item = {} }]) => {
+    if (item.userId && !users[item.userId]) {
+      users[item.userId] = { id: item.userId, name: item.user };
+    }
+  });
+
+  const matching = entries.filter(([, { item = {} }]) => {
+    const created = getCreatedDate(item);
+    return (
+      (!user || item.userId === user) &&
+      (!type || item.type === type) &&
+      (!fromDate || created >= fromDate) &&
+      (!toDate || created <= toDate)
+    );
+  });
+
+  const items = matching.slice((pageNumber - 1) * size, pageNumber * size).map(([key, entry]) => {
+    const item = entry.item || {};
+    return {
+      id: key,
+      name: path.posix.basename(entry.key || entry.path.split(path.sep).join('/')),
+      type: item.type,
+      user: item.user,
+      userId: item.userId,
+      created: item.created ? getCreatedDate(item).toISOString() : null,
+      caption: item.caption || '',
+      likes: item.likes || 0,
+      size: entry.size,
+    };
+  });
+
+  return {
+    items,
+    total: matching.length,
+    page: pageNumber,
+    pageSize: size,
+    users: Object.values(users).sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+  };
+}
+
+/**
+ * Where a downloaded file is, for serving it
+ *
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {String} id Manifest key, as given by listGalleryItems
+ * @returns {Object|null} { storage, key, entry }
+ */
+export function openGalleryItem(groupId, id) {
+  const entry = db.getManifestEntry(id);
+
+  if (!entry || entry.groupId !== groupId) {
+    return null;
+  }
+
+  if (entry.location) {
+    return { storage: createStorage(entry.location), key: entry.key, entry };
+  }
+
+  // Local files are opened from their own folder, which is where their thumbnail goes too
+  return {
+    storage: createStorage(path.dirname(entry.path)),
+    key: path.basename(entry.path),
+    entry,
+  };
+}
@@ -0,0 +1,603 @@
+#!/usr/bin/env node
+// src/groupme-dl.js
+import path from 'path';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import db, { DATA_DIR } from './db';
+import {
+  addOptions,
+  downloadExitCode,
+  EXIT_CODES,
+  FILTER_OPTIONS,
+  getAuthToken,
+  outcomeExitCode,
+  readOptions,
+  usageError,
+  useExitCodes,
+} from './cli';
+import { fetchAllConversations } from './conversations';
+import { downloadGroups, exportGroup, retryFailed, syncGroups, verifyGroups } from './sync';
+import { MEDIA_DIR } from './media-downloader';
+import { createApiKey, listApiKeys, revokeApiKey } from './api-keys';
+import { DEFAULT_PORT, startServer } from './serve';
+import { LOOPBACK_HOST } from './gui-session';
+import {
+  deleteToken,
+  getActiveProfile,
+  isProfileName,
+  listProfiles,
+  maskToken,
+  setToken,
+  useProfile,
+} from './token-store';
+
+const { version } = require('../package.json');
+
+/**
+ * groupme-dl, the installable command line. One subcommand per job, each
+ * with its own --help. Unlike `npm start` it never asks anything: tokens
+ * come from --token or the saved profiles. Results go to stdout, as JSON
+ * with --json, and everything logged on the way goes to stderr.
+ */
+
+const JSON_OPTION = ['--json', 'Print the result as JSON'];
+
+/**
+ * Run a command and exit with its exit code
+ *
+ * @param {Object} flags The command's options, for --json
+ * @param {Function} work Resolves to { result, exitCode }, exitCode defaults to success
+ * @param {Function} printText Prints the result without --json
+ */
+async function run(flags, work, printText) {
+  const log = console.log;
+  console.log = console.error;
+  let exitCode;
+
+  try {
+    db.createDb();
+    const outcome = await work();
+    console.log = log;
+
+    if (flags.json) {
+      process.stdout.write(`${JSON.stringify(outcome.result, null, 2)}\n`);
+    } else {
+      printText(outcome.result);
+    }
+    exitCode = outcome.exitCode === undefined ? EXIT_CODES.SUCCESS : outcome.exitCode;
+  } catch (error) {
+    console.error(chalk.red('Error:', error.message));
+    exitCode = EXIT_CODES.FAILURE;
+  }
+
+  process.exit(exitCode);
+}
+
+/**
+ * Grab the token without asking, see getAuthToken
+ *
+ * @param {Object} options Parsed arguments
+ * @returns {Promise<String>}
+ */
+function readToken(options) {
+  return getAuthToken({ ...options, interactive: false });
+}
+
+/**
+ * Everything piped into the process
+ *
+ * @returns {Promise<String>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => {
+      text += chunk;
+    });
+    process.stdin.on('end', () => resolve(text.trim()));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Download counts, as a sentence
+ *
+ * @param {Object} counts
+ * @returns {String}
+ */
+function describeCounts({ completed, skipped, failed }) {
+  return `${completed} downloaded, ${skipped} skipped, ${failed} failed`;
+}
+
+function groupsCommand() {
+  const groups = useExitCodes(new Command('groups')).description('Your groups and direct messages');
+
+  addOptions(groups.command('list'), ['token', 'profile'])
+    .description('List the groups and direct messages the token can see, with their ids')
+    .option(...JSON_OPTION)
+    .action((flags) =>
+      run(
+        flags,
+        async () => {
+          const token = await readToken(readOptions(flags));
+          const syncStates = db.getSyncStates() || {};
+          const conversations = await fetchAllConversations(token);
+
+          return {
+            result: conversations.map(({ id, name, kind }) => ({
+              id,
+              name,
+              kind,
+              syncedAt: syncStates[id] ? syncStates[id].syncedAt : null,
+            })),
+          };
+        },
+        (conversations) => {
+          conversations.forEach(({ id, name, kind, syncedAt }) => {
+            const dm = kind === 'dm' ? ' (direct message)' : '';
+            const synced = syncedAt ? chalk.gray(`  synced ${syncedAt}`) : '';
+            console.log(`${id}  ${name}${dm}${synced}`);
+          });
+        }
+      )
+    );
+
+  return groups;
+}
+
+function downloadCommand() {
+  const command = useExitCodes(new Command('download'))
+    .arguments('[groups...]')
+    .description(
+      'Download the media of these groups (ids from `groups list`, dm:<user id> for a direct message)'
+    );
+
+  addOptions(command, ['token', 'profile', 'parallel', 'output', 'layout', 'filename']).option(
+    '--retry-failed',
+    'Only try downloads that failed before again (these groups, or all)'
+  );
+  addOptions(command, ['export', 'metadata', 'thumbnails', 'items', 'types', ...FILTER_OPTIONS])
+    .option(...JSON_OPTION)
+    .action((groupIds, flags) => {
+      const options = readOptions(flags);
+      if (!groupIds.length && !flags.retryFailed) {
+        usageError('Name the groups to download, see: groupme-dl groups list');
+      }
+      if (options.items && flags.retryFailed) {
+        usageError("--items picks what to download, it can't be combined with --retry-failed");
+      }
+
+      if (flags.retryFailed) {
+        return run(
+          flags,
+          async () => {
+            const retried = await retryFailed(await readToken(options), {
+              groupIds: groupIds.length ? groupIds : undefined,
+              overrides: { outputDir: options.output, parallel: options.parallel },
+            });
+            return {
+              result: retried,
+              exitCode: outcomeExitCode(retried.completed, retried.failed),
+            };
+          },
+          (retried) => console.log(describeCounts(retried))
+        );
+      }
+
+      return run(
+        flags,
+        async () => {
+          const outcome = await downloadGroups(
+            await readToken(options),
+            groupIds.map((id) => ({ id })),
+            {
+              types: options.types,
+              filters: options.filters,
+              outputDir: options.output,
+              parallel: options.parallel,
+              layout: options.layout,
+              fileNameTemplate: options.fileNameTemplate,
+              exportFormats: options.exportFormats,
+              metadata: options.metadata,
+              thumbnails: options.thumbnails,
+              only: options.items,
+            }
+          );
+          return {
+            result: outcome,
+            exitCode: downloadExitCode(outcome.downloaded, outcome.failed),
+          };
+        },
+        ({ downloaded, failed }) => {
+          downloaded.forEach((group) => console.log(`${group.groupId}  ${describeCounts(group)}`));
+          failed.forEach((group) => console.log(chalk.red(`${group.groupId}  ${group.error}`)));
+        }
+      );
+    });
+
+  return command;
+}
+
+function syncCommand() {
+  const command = useExitCodes(new Command('sync')).description(
+    "Fetch only what's new in every group downloaded before, reusing each group's options unless given here"
+  );
+
+  addOptions(command, [
+    'token',
+    'profile',
+    'parallel',
+    'output',
+    'layout',
+    'filename',
+    'export',
+    'metadata',
+    'thumbnails',
+    'types',
+    ...FILTER_OPTIONS,
+  ])
+    .option(...JSON_OPTION)
+    .action((flags) => {
+      const options = readOptions(flags);
+
+      return run(
+        flags,
+        async () => {
+          const outcome = await syncGroups(await readToken(options), {
+            types: options.types,
+            filters: options.filters,
+            layout: options.layout,
+            fileNameTemplate: options.fileNameTemplate,
+            exportFormats: options.exportFormats,
+            metadata: options.metadata,
+            thumbnails: options.thumbnails || undefined,
+            outputDir: options.output,
+            parallel: options.parallel,
+          });
+          return {
+            result: outcome,
+            exitCode: downloadExitCode(outcome.synced, outcome.failed),
+          };
+        },
+        ({ synced, failed }) => {
+          synced.forEach((group) => console.log(`${group.groupId}  ${describeCounts(group)}`));
+          failed.forEach((groupId) => console.log(chalk.red(`${groupId}  failed to sync`)));
+        }
+      );
+    });
+
+  return command;
+}
+
+function exportCommand() {
+  const command = useExitCodes(new Command('export'))
+    .arguments('<groups...>')
+    .description("Save these groups' chat transcripts, without downloading their media");
+
+  addOptions(command, ['token', 'profile', 'output'])
+    .option('--format <formats>', 'Formats to save (comma-separated, default: all)', 'all')
+    .option(...JSON_OPTION)
+    .action((groupIds, flags) => {
+      const options = readOptions({ ...flags, export: flags.format });
+
+      return run(
+        flags,
+        async () => {
+          const token = await readToken(options);
+          const result = { exported: [], failed: [] };
+
+          for (const groupId of groupIds) {
+            try {
+              const files = await exportGroup(token, groupId, {
+                formats: options.exportFormats,
+                outputDir: options.output,
+              });
+              result.exported.push({ groupId, files });
+            } catch (error) {
+              if (error.message.includes('Invalid or expired token')) {
+                throw error;
+              }
+              console.error(chalk.red(`Failed to export ${groupId}: ${error.message}`));
+              result.failed.push({ groupId, error: error.message });
+            }
+          }
+
+          return {
+            result,
+            exitCode: outcomeExitCode(result.exported.length, result.failed.length),
+          };
+        },
+        ({ exported }) =>
+          exported.forEach(({ files }) => files.forEach((file) => console.log(file)))
+      );
+    });
+
+  return command;
+}
+
+function verifyCommand() {
+  const command = useExitCodes(new Command('verify'))
+    .arguments('[groups...]')
+    .description(
+      'Re-check downloaded files against their checksums and download missing or corrupt ones again (these groups, or all)'
+    );
+
+  addOptions(command, ['token', 'profile', 'parallel', 'output', 'layout', 'filename'])
+    .option(...JSON_OPTION)
+    .action((groupIds, flags) => {
+      const options = readOptions(flags);
+
+      return run(
+        flags,
+        async () => {
+          const outcome = await verifyGroups(await readToken(options), {
+            groupIds: groupIds.length ? groupIds : undefined,
+            overrides: {
+              layout: options.layout,
+              fileNameTemplate: options.fileNameTemplate,
+              outputDir: options.output,
+              parallel: options.parallel,
+            },
+          });
+          return {
+            result: outcome,
+            // Missing and corrupt files are only fine once they've been downloaded again
+            exitCode: outcomeExitCode(
+              outcome.ok + outcome.repaired.completed,
+              outcome.missing + outcome.corrupt - outcome.repaired.completed + outcome.unreadable
+            ),
+          };
+        },
+        ({ ok, missing, corrupt, unreadable, repaired }) => {
+          console.log(
+            `${ok} fine, ${missing} missing, ${corrupt} corrupt, ${unreadable} unreadable`
+          );
+          if (missing || corrupt) {
+            console.log(`Repairs: ${describeCounts(repaired)}`);
+          }
+        }
+      );
+    });
+
+  return command;
+}
+
+/**
+ * Check --port
+ *
+ * @param {String} value
+ * @returns {Number}
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    usageError('--port must be a number from 1 to 65535');
+  }
+  return port;
+}
+
+function serveCommand() {
+  return useExitCodes(new Command('serve'))
+    .description(
+      'Serve the REST API, see /api/v1/openapi.json. Requests need an API key, sent as: Authorization: Bearer <key>'
+    )
+    .option('--port <port>', `Port to listen on (default: ${DEFAULT_PORT})`, parsePort)
+    .option(
+      '--host <address>',
+      `Address to listen on (default: ${LOOPBACK_HOST}), 0.0.0.0 for every network`
+    )
+    .option(
+      '--allow-any-output',
+      'Let requests save to any folder or storage URL, not just folders in the media folder'
+    )
+    .option('--create-key <name>', "Make an API key, it's only shown this once")
+    .option('--list-keys', 'Show the API keys')
+    .option('--revoke-key <id>', 'Stop an API key from working')
+    .option('--json', 'Print the API keys, made, listed or revoked, as JSON')
+    .action((flags) => {
+      if (flags.createKey !== undefined) {
+        return run(
+          flags,
+          async () => {
+            try {
+              return { result: createApiKey(flags.createKey) };
+            } catch (error) {
+              return usageError(error.message);
+            }
+          },
+          (apiKey) => {
+            console.log(chalk.green(`Made API key ${apiKey.id} (${apiKey.name}):`));
+            console.log(apiKey.key);
+            console.log(chalk.yellow("Keep it somewhere safe, it can't be shown again"));
+          }
+        );
+      }
+
+      if (flags.listKeys) {
+        return run(
+          flags,
+          async () => ({ result: listApiKeys() }),
+          (apiKeys) => {
+            if (!apiKeys.length) {
+              console.log('No API keys, make one with --create-key <name>');
+            }
+            apiKeys.forEach(({ id, name, hint, createdAt, lastUsedAt }) => {
+              console.log(
+                `${id}  ${name}  ...${hint}  made ${createdAt}  last used ${lastUsedAt || 'never'}`
+              );
+            });
+          }
+        );
+      }
+
+      if (flags.revokeKey !== undefined) {
+        return run(
+          flags,
+          async () => {
+            if (!revokeApiKey(flags.revokeKey)) {
+              usageError(`No API key ${flags.revokeKey}, see --list-keys`);
+            }
+            return { result: { revoked: flags.revokeKey } };
+          },
+          ({ revoked }) => console.log(chalk.green(`Revoked API key ${revoked}`))
+        );
+      }
+
+      db.createDb();
+      startServer({ port: flags.port, host: flags.host, anyOutputDir: !!flags.allowAnyOutput });
+    })
+    .on('--help', () => {
+      console.log(
+        "\nDownloads use the active profile's token unless a request names another, save one with: groupme-dl config set-token"
+      );
+    });
+}
+
+/**
+ * Check a profile name given as an argument
+ *
+ * @param {String} name
+ * @returns {String}
+ */
+function checkProfile(name) {
+  if (!isProfileName(name)) {
+    usageError('Profile names are up to 40 letters, digits, dots, dashes and underscores');
+  }
+  return name;
+}
+
+function configCommand() {
+  const config = useExitCodes(new Command('config')).description(
+    'Saved tokens, one profile per GroupMe account, and where things are kept'
+  );
+
+  config
+    .command('show')
+    .description('Show the profiles, which one is in use, and where data and downloads go')
+    .option(...JSON_OPTION)
+    .action((flags) =>
+      run(
+        flags,
+        async () => ({
+          result: {
+            activeProfile: getActiveProfile(),
+            profiles: listProfiles(),
+            dataDir: path.resolve(DATA_DIR),
+            mediaDir: MEDIA_DIR,
+          },
+        }),
+        ({ activeProfile, profiles, dataDir, mediaDir }) => {
+          console.log(`Profile in use: ${activeProfile}`);
+          profiles.forEach(({ name, store, token }) => {
+            console.log(`  ${name}  ${token}  (${store})`);
+          });
+          console.log(`Data: ${dataDir}`);
+          console.log(`Downloads: ${mediaDir}`);
+        }
+      )
+    );
+
+  config
+    .command('set-token [token]')
+    .description(
+      "Save a token under a profile and use it from now on. Without the token it's read from stdin, which keeps it out of the shell history"
+    )
+    .option('--profile <name>', 'Profile to save it under (default: the profile in use)')
+    .option(...JSON_OPTION)
+    .action((token, flags) => {
+      const profile = flags.profile ? checkProfile(flags.profile) : null;
+      if (!token && process.stdin.isTTY) {
+        usageError('Give the token, or pipe it in, e.g. groupme-dl config set-token < token.txt');
+      }
+
+      return run(
+        flags,
+        async () => {
+          const name = profile || getActiveProfile();
+          const value = token || (await readStdin());
+          setToken(value, name);
+          useProfile(name);
+          return { result: { profile: name, token: maskToken(value.trim()) } };
+        },
+        ({ profile: name, token: masked }) =>
+          console.log(chalk.green(`Saved ${masked} as ${name}, it's the profile in use now`))
+      );
+    });
+
+  config
+    .command('use <profile>')
+    .description('Use this profile from now on')
+    .option(...JSON_OPTION)
+    .action((profile, flags) => {
+      checkProfile(profile);
+
+      return run(
+        flags,
+        async () => {
+          useProfile(profile);
+          return { result: { activeProfile: profile } };
+        },
+        ({ activeProfile }) => console.log(`Using ${activeProfile}`)
+      );
+    });
+
+  config
+    .command('forget [profile]')
+    .description('Remove a profile and its token (default: the profile in use)')
+    .option(...JSON_OPTION)
+    .action((profile, flags) => {
+      if (profile) {
+        checkProfile(profile);
+      }
+
+      return run(
+        flags,
+        async () => {
+          const name = profile || getActiveProfile();
+          return { result: { profile: name, forgotten: deleteToken(name) } };
+        },
+        ({ profile: name, forgotten }) =>
+          console.log(forgotten ? `Forgot ${name}` : `There's no profile ${name}`)
+      );
+    });
+
+  return config;
+}
+
+/**
+ * Print the exit codes and environment under the command list
+ */
+function printHelp() {
+  console.log(`
+Each command has its own help, e.g. groupme-dl download --help
+Data (tokens, sync state) goes in ./data and downloads in ./media, under the current folder
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Everything worked
+  ${EXIT_CODES.FAILURE}  Nothing worked (bad token, network error, ...)
+  ${EXIT_CODES.USAGE}  Invalid or missing options
+  ${EXIT_CODES.PARTIAL}  Some groups or files failed, the rest worked
+
+Environment:
+  GROUPME_PASSPHRASE   Encrypt saved tokens under this passphrase, and unlock them
+  GROUPME_TOKEN_STORE  Where to save tokens: keyring (the system keychain) or file
+                       (encrypted in data/). Default: keyring when there is one`);
+}
+
+const program = useExitCodes(new Command('groupme-dl'))
+  .version(version)
+  .description('Download photos, videos and chat transcripts from your GroupMe conversations')
+  .on('--help', printHelp);
+
+[
+  groupsCommand(),
+  downloadCommand(),
+  syncCommand(),
+  exportCommand(),
+  verifyCommand(),
+  serveCommand(),
+  configCommand(),
+].forEach((command) => program.addCommand(command));
+
+program.parse(process.argv);
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import os from 'os';
+
+/**
+ * Keeps the GUI server to the person who started it. Other pages in their
+ * browser, and other people on a shared machine, can reach the port too.
+ *
+ * Every launch makes a random secret, which is in the link the GUI opens.
+ * Following the link swaps it for a cookie that pages on other sites don't
+ * get sent, and everything the server answers asks for one or the other.
+ * Scripts can send the secret as `Authorization: Bearer <secret>` instead.
+ * On top of that, requests must be addressed to this machine by name, which
+ * stops DNS rebinding, and changes must come from the GUI's own pages.
+ */
+
+export const SESSION_COOKIE = 'groupme_dl_session';
+
+// What the server listens on, unless it's opened up to the network
+export const LOOPBACK_HOST = '127.0.0.1';
+
+const LOOPBACK_NAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+const SIGN_IN_HINT = 'Open the link printed where the GUI was started';
+
+// Reading doesn't change anything, so these don't need their origin checked
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * This machine's addresses on the network, the ones other machines can use to reach it
+ *
+ * @returns {Array} Addresses, IPv6 ones in brackets like in a URL
+ */
+export function networkAddresses() {
+  // Link-local IPv6 addresses need a zone, which browsers won't take in a URL
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((address) => address && !address.internal && !address.scopeid)
+    .map((address) =>
+      address.family === 'IPv6' || address.family === 6 ? `[${address.address}]` : address.address
+    );
+}
+
+/**
+ * The value of a cookie
+ *
+ * @param {String} header Cookie header
+ * @param {String} name
+ * @returns {String|null}
+ */
+function readCookie(header, name) {
+  const cookie = (header || '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return cookie ? cookie.slice(name.length + 1) : null;
+}
+
+/**
+ * The host name a request was sent to, without the port
+ *
+ * @param {String} host Host header
+ * @returns {String}
+ */
+function hostName(host) {
+  return (host || '').replace(/:\d+$/, '').toLowerCase();
+}
+
+/**
+ * Start a session for one run of the GUI server
+ *
+ * @param {Object} options
+ * @param {Boolean} options.lan Also let other machines on the network in, with the secret
+ * @returns {Object} The secret, its link, and checks for Express and socket.io
+ */
+export function createSession({ lan = false } = {}) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const secretHash = crypto.createHash('sha256').update(secret).digest();
+
+  // Compared as hashes, so the time taken says nothing about the secret
+  const matches = (value) =>
+    !!value &&
+    crypto.timingSafeEqual(crypto.createHash('sha256').update(value).digest(), secretHash);
+
+  // Looked up every time, as network addresses come and go
+  const isAllowedHost = (host) => {
+    const name = hostName(host);
+    return (
+      LOOPBACK_NAMES.includes(name) ||
+      (lan &&
+        [os.hostname(), `${os.hostname()}.local`, ...networkAddresses()]
+          .map((address) => address.toLowerCase())
+          .includes(name))
+    );
+  };
+
+  // Pages on another port of this machine count as another site
+  const isAllowedOrigin = (req) =>
+    !req.headers.origin || req.headers.origin === `http://${req.headers.host}`;
+
+  const isSignedIn = (req) => {
+    const authorization = req.headers.authorization || '';
+    return (
+      matches(readCookie(req.headers.cookie, SESSION_COOKIE)) ||
+      (authorization.startsWith('Bearer ') && matches(authorization.slice('Bearer '.length)))
+    );
+  };
+
+  const refuse = (req, res, status, message) => {
+    if (req.path.startsWith('/api/')) {
+      return res.status(status).json({ error: message });
+    }
+    res.status(status).type('text').send(message);
+  };
+
+  return {
+    secret,
+
+    /**
+     * The link that signs a browser in
+     *
+     * @param {String} host
+     * @param {Number} port
+     * @returns {String}
+     */
+    url: (host, port) => `http://${host}:${port}/?key=${secret}`,
+
+    /**
+     * Express middleware, goes before every route
+     */
+    guard: (req, res, next) => {
+      if (!isAllowedHost(req.headers.host)) {
+        return refuse(req, res, 403, `Requests for ${req.headers.host} aren't served here`);
+      }
+      if (!SAFE_METHODS.includes(req.method) && !isAllowedOrigin(req)) {
+        return refuse(req, res, 403, 'Requests from other sites are not allowed');
+      }
+
+      // The link from the terminal: swap the secret for a cookie, and get it out of the address bar
+      if (req.query.key !== undefined && req.method === 'GET') {
+        if (!matches(String(req.query.key))) {
+          return refuse(req, res, 401, `That link is out of date. ${SIGN_IN_HINT}`);
+        }
+        res.cookie(SESSION_COOKIE, secret, { httpOnly: true, sameSite: 'strict', path: '/' });
+        return res.redirect(req.path);
+      }
+
+      if (!isSignedIn(req)) {
+        return refuse(req, res, 401, `Not signed in. ${SIGN_IN_HINT}`);
+      }
+      next();
+    },
+
+    /**
+     * socket.io's allowRequest, for the connections the page opens
+     *
+     * @param {Object} req
+     * @param {Function} callback
+     */
+    allowRequest: (req, callback) => {
+      callback(null, isAllowedHost(req.headers.host) && isAllowedOrigin(req) && isSignedIn(req));
+    },
+  };
+}
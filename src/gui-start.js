@@ -5,6 +5,6 @@ import db from './db';
 // Initialize the database
 db.createDb();
 
-// Start the GUI server
+// Start the GUI server, --lan opens it up to other machines on the network
 console.log('Starting GroupMe Gallery Downloader GUI...');
-startGUI();
\ No newline at end of file
+startGUI(undefined, { lan: process.argv.includes('--lan') || process.env.GROUPME_GUI_LAN === '1' });
\ No newline at end of file
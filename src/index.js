@@ -1,92 +1,194 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import apiRequest from './request';
 import { startGUI } from './gui';
-import { mediaListBuilder } from './media-list-builder';
-import { mediaDownloader } from './media-downloader';
+import { downloadGroups, retryFailed, syncGroups, verifyGroups } from './sync';
+import { fetchAllConversations } from './conversations';
 import db from './db';
+import {
+  EXIT_CODES,
+  downloadExitCode,
+  getAuthToken,
+  getLayout,
+  getMediaTypes,
+  getOutputDirectory,
+  getParallelCount,
+  hasCommandLineArgs,
+  outcomeExitCode,
+  parseCommandLineArgs,
+  processGroupSelection,
+} from './cli';
 const portfinder = require('portfinder');
 
+const { version } = require('../package.json');
+
+/**
+ * Pick the groups, then download each of them in turn. A group that fails
+ * doesn't stop the rest, it's reported in the exit code instead, and so are
+ * files that couldn't be downloaded.
+ *
+ * @param {String} token
+ * @returns {Promise<Number>} Process exit code
+ */
 async function processGroupmeData(token) {
-  try {
-    // Fetch groups with pagination
-    let allGroups = [];
-    let page = 1;
-    const PER_PAGE = 10;
-    
-    while (true) {
-      console.log(`Fetching groups page ${page}...`);
-      
-      const response = await apiRequest(token, 'groups', {
-        page: page,
-        per_page: PER_PAGE
-      });
-      
-      if (response.status === 401) {
-        throw new Error('Invalid or expired token');
-      }
-      
-      const data = await response.json();
-      const groups = data.response;
-      
-      if (!groups || groups.length === 0) {
-        break;
-      }
-
-      allGroups = [...allGroups, ...groups];
-      
-      // If we got fewer items than requested, we've hit the last page
-      if (groups.length < PER_PAGE) {
-        break;
-      }
-      
-      page++;
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+  const options = parseCommandLineArgs();
+  let allGroups = [];
+
+  // Group ids from the command line don't need the (slow) group listing
+  if (!options.groupId && !options.multiGroups) {
+    allGroups = await fetchAllConversations(token);
 
     if (allGroups.length === 0) {
-      throw new Error('No groups found');
+      throw new Error('No groups or direct messages found');
     }
+  }
 
-    // Use checkbox selection for groups
-    const { groupIds } = await inquirer.prompt([
-      {
-        type: 'checkbox',
-        name: 'groupIds',
-        message: 'Select groups to download (use space to select, enter to confirm):',
-        choices: allGroups.map(g => ({ name: g.name, value: g.id })),
-        validate: (answer) => {
-          if (answer.length < 1) {
-            return 'You must choose at least one group.';
-          }
-          return true;
-        }
-      }
-    ]);
-
-    // Process each selected group
-    for (let i = 0; i < groupIds.length; i++) {
-      const groupId = groupIds[i];
-      const group = allGroups.find(g => g.id === groupId);
-      console.log(chalk.blue(`\nStarting download for ${group.name} (${i + 1}/${groupIds.length})...`));
-      const mediaList = await mediaListBuilder(token, groupId);
-      await mediaDownloader(mediaList);
+  const groupIds = await processGroupSelection(
+    allGroups.map(g => ({
+      name: g.kind === 'dm' ? `${g.name} (direct message)` : g.name,
+      value: g.id,
+    }))
+  );
+  const types = await getMediaTypes();
+  const outputDir = await getOutputDirectory();
+  const parallel = await getParallelCount();
+  const layout = await getLayout();
+  const { fileNameTemplate, exportFormats, metadata, thumbnails, items, filters } = parseCommandLineArgs();
+
+  const { downloaded, failed } = await downloadGroups(
+    token,
+    groupIds.map(id => allGroups.find(g => g.id === id) || { id }),
+    {
+      types,
+      filters,
+      outputDir,
+      parallel,
+      layout,
+      fileNameTemplate,
+      exportFormats,
+      metadata,
+      thumbnails,
+      only: items,
     }
-    
-  } catch (error) {
-    console.error(chalk.red('Error:', error.message));
-    process.exit(1);
+  );
+
+  const failedFiles = downloaded.reduce((total, counts) => total + counts.failed, 0);
+  if (failed.length) {
+    console.error(chalk.red(`\n${failed.length} of ${groupIds.length} groups failed: ${failed.map(group => group.name).join(', ')}`));
+  }
+  if (failedFiles) {
+    console.error(chalk.red(`\n${failedFiles} files couldn't be downloaded`));
+  }
+  return downloadExitCode(downloaded, failed);
+}
+
+/**
+ * Catch up every group downloaded before
+ *
+ * @param {String} token
+ * @returns {Promise<Number>} Process exit code
+ */
+async function syncGroupmeData(token) {
+  const options = parseCommandLineArgs();
+  const { synced, failed } = await syncGroups(token, {
+    types: options.types,
+    filters: options.filters,
+    layout: options.layout,
+    fileNameTemplate: options.fileNameTemplate,
+    exportFormats: options.exportFormats,
+    metadata: options.metadata,
+    thumbnails: options.thumbnails || undefined,
+    outputDir: options.output,
+    parallel: options.parallel,
+  });
+
+  const failedFiles = synced.reduce((total, counts) => total + counts.failed, 0);
+  if (failed.length) {
+    console.error(chalk.red(`\n${failed.length} of ${synced.length + failed.length} groups failed to sync`));
+  }
+  if (failedFiles) {
+    console.error(chalk.red(`\n${failedFiles} files couldn't be downloaded`));
+  }
+  return downloadExitCode(synced, failed);
+}
+
+/**
+ * Check downloaded files and fetch again whatever is missing or corrupt
+ *
+ * @param {String} token
+ * @returns {Promise<Number>} Process exit code
+ */
+async function verifyGroupmeData(token) {
+  const options = parseCommandLineArgs();
+  let groupIds;
+  if (options.groupId) {
+    groupIds = [options.groupId];
+  } else if (options.multiGroups) {
+    groupIds = options.multiGroups.split(',').map(id => id.trim());
+  }
+
+  const { ok, missing, corrupt, unreadable, repaired } = await verifyGroups(token, {
+    groupIds,
+    overrides: {
+      layout: options.layout,
+      fileNameTemplate: options.fileNameTemplate,
+      outputDir: options.output,
+      parallel: options.parallel,
+    },
+  });
+
+  const unrepaired = missing + corrupt - repaired.completed;
+  if (unrepaired) {
+    console.error(chalk.red(`\n${unrepaired} missing or corrupt files could not be downloaded again`));
+  }
+  if (unreadable) {
+    console.error(chalk.red(`${unreadable} downloaded files couldn't be read to check them`));
   }
+  return outcomeExitCode(ok + repaired.completed, unrepaired + unreadable);
+}
+
+/**
+ * Try downloads that failed before again
+ *
+ * @param {String} token
+ * @returns {Promise<Number>} Process exit code
+ */
+async function retryGroupmeData(token) {
+  const options = parseCommandLineArgs();
+  let groupIds;
+  if (options.groupId) {
+    groupIds = [options.groupId];
+  } else if (options.multiGroups) {
+    groupIds = options.multiGroups.split(',').map(id => id.trim());
+  }
+
+  const retried = await retryFailed(token, {
+    groupIds,
+    overrides: {
+      outputDir: options.output,
+      parallel: options.parallel,
+    },
+  });
+
+  if (retried.failed) {
+    console.error(chalk.red(`\n${retried.failed} files still could not be downloaded`));
+  }
+  return outcomeExitCode(retried.completed, retried.failed);
 }
 
 async function main() {
+  const options = parseCommandLineArgs();
   db.createDb();
 
   console.log(chalk.green('----------------------------------------'));
-  console.log(chalk.green('| GroupMe Gallery Downloader v1.2.0    |'));
+  console.log(chalk.green(`| ${`GroupMe Gallery Downloader v${version}`.padEnd(36)} |`));
   console.log(chalk.green('----------------------------------------'));
 
+  // Any command line flag means the CLI was asked for, don't bother asking
+  if (hasCommandLineArgs(options)) {
+    await startCLI();
+    return;
+  }
+
   const { mode } = await inquirer.prompt([
     {
       type: 'list',
@@ -110,39 +212,37 @@ function startGUIWithPortHandling() {
       return;
     }
     console.log(`Starting GUI on port ${port}...`);
-    startGUI(port);
+    try {
+      startGUI(port);
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+      process.exit(EXIT_CODES.FAILURE);
+    }
   });
 }
 
 async function startCLI() {
-  const existingToken = db.getToken();
-
-  if (existingToken) {
-    const { useExisting } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'useExisting',
-        message: `Do you want to use your existing token: ${existingToken.slice(0, 8)}... ?`
-      }
-    ]);
-
-    if (useExisting) {
-      await processGroupmeData(existingToken);
-      return;
-    }
-  }
+  let exitCode;
 
-  const { token } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'token',
-      message: 'Please enter your GroupMe API token:'
+  try {
+    const token = await getAuthToken();
+    const { sync, verify, retryFailed: retry } = parseCommandLineArgs();
+    if (verify) {
+      exitCode = await verifyGroupmeData(token);
+    } else if (retry) {
+      exitCode = await retryGroupmeData(token);
+    } else if (sync) {
+      exitCode = await syncGroupmeData(token);
+    } else {
+      exitCode = await processGroupmeData(token);
     }
-  ]);
+  } catch (error) {
+    console.error(chalk.red('Error:', error.message));
+    exitCode = EXIT_CODES.FAILURE;
+  }
 
-  db.setToken(token);
-  await processGroupmeData(token);
+  process.exit(exitCode);
 }
 
 // Call the main function
-main();
\ No newline at end of file
+main();
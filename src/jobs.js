@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { downloadGroup, downloadItems, retryFailed } from './sync';
+import { createStorage } from './storage';
+import { getToken } from './token-store';
+import db from './db';
+
+/**
+ * Downloads started from the GUI run as jobs, one at a time, highest priority
+ * first. Jobs are kept in the database, so a restart carries on where it left off.
+ *
+ *   queued:    waiting for its turn
+ *   running:   downloading now
+ *   paused:    stopped by hand, resuming puts it back in the queue
+ *   cancelled: stopped by hand for good
+ *   completed: every group went through, though single files may have failed
+ *   failed:    stopped by an error every group would run into, e.g. a bad token
+ *
+ * Stopping a running job lets the files in flight finish. Everything downloaded
+ * is in the manifest, so a resumed job skips straight past it.
+ *
+ * Jobs are stored, and shown, with their output location minus any credentials,
+ * like sync state is. The location as given is only kept in memory, so a job run
+ * after a restart gets its credentials from the environment, see ./storage.
+ */
+export const JOB_STATUSES = ['queued', 'running', 'paused', 'cancelled', 'completed', 'failed'];
+
+const listeners = [];
+
+// The job being downloaded, with what to do with it once it stops
+let current = null;
+let queueRunning = false;
+
+// Output locations as given, credentials and all, by job id
+const outputDirs = new Map();
+
+/**
+ * Listen to what jobs are up to. Listeners get the event name, the job and
+ * event details:
+ *   updated:  anything about the job changed
+ *   started:  the job started running
+ *   group:    a group started downloading, { index }
+ *   progress: a file finished, { index }
+ *   item:     a download event for a group, { index, event }, see mediaDownloader
+ *   finished: the job stopped running, whatever its status
+ *
+ * @param {Function} listener
+ */
+export function onJobEvent(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Tell every listener
+ *
+ * @param {String} event
+ * @param {Object} job
+ * @param {Object} details
+ */
+function notify(event, job, details = {}) {
+  listeners.forEach((listener) => listener(event, job, details));
+}
+
+/**
+ * Store a job and tell listeners it changed
+ *
+ * @param {Object} job
+ * @returns {Object} The job
+ */
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  db.setJob(job.id, job);
+  notify('updated', job);
+  return job;
+}
+
+/**
+ * Download options with the output location as storage reports it, without credentials
+ *
+ * @param {Object} options
+ * @returns {Object}
+ */
+function withoutCredentials(options) {
+  return options.outputDir
+    ? { ...options, outputDir: createStorage(options.outputDir).location }
+    : options;
+}
+
+/**
+ * A job as shown to clients, without the media items picked for it
+ *
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function summarizeJob(job) {
+  return {
+    ...job,
+    // Jobs from before locations were stored without credentials
+    options: withoutCredentials(job.options),
+    groups: job.groups.map(({ media, ...group }) =>
+      media ? { ...group, items: media.length } : group
+    ),
+  };
+}
+
+/**
+ * Queue a download
+ *
+ * @param {Object} spec
+ * @param {Array} spec.groupIds Download these groups whole
+ * @param {String} spec.groupId With media, the group the items come from
+ * @param {Array} spec.media Download just these media items, see attachmentToMediaItem
+ * @param {Boolean} spec.retry Try the groups' failed downloads again instead, see retryFailed
+ * @param {Boolean} spec.sync Fetch what's new in the groups instead, with the options they were
+ *   last downloaded with unless given in options, see syncGroups
+ * @param {Object} spec.options Download options, see downloadGroup
+ * @param {Number} spec.priority Higher runs sooner, default 0
+ * @param {String} spec.profile Download with this profile's token, see ./token-store.
+ *   Defaults to whichever profile is active when the job runs
+ * @returns {Object} The new job
+ */
+export function createJob({
+  groupIds,
+  groupId,
+  media,
+  retry = false,
+  sync = false,
+  options = {},
+  priority = 0,
+  profile = null,
+}) {
+  const progress = {
+    status: 'pending',
+    name: null,
+    total: null,
+    completed: 0,
+    skipped: 0,
+    failed: 0,
+  };
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'queued',
+    priority,
+    profile,
+    createdAt: new Date().toISOString(),
+    options: withoutCredentials(options),
+    groups: media
+      ? [{ groupId, ...progress, media }]
+      : groupIds.map((id) => ({
+          groupId: id,
+          ...progress,
+          ...(retry ? { retry } : {}),
+          ...(sync ? { sync } : {}),
+        })),
+    error: null,
+  };
+
+  if (options.outputDir) {
+    outputDirs.set(job.id, options.outputDir);
+  }
+  saveJob(job);
+  runQueue().catch(logQueueError);
+  return job;
+}
+
+/**
+ * Every job, running and queued ones first in the order they'll run, then the rest newest first
+ *
+ * @returns {Array}
+ */
+export function listJobs() {
+  const order = ['running', 'queued', 'paused'];
+  const rank = (job) => (order.includes(job.status) ? order.indexOf(job.status) : order.length);
+
+  return Object.values(db.getJobs() || {}).sort(
+    (a, b) =>
+      rank(a) - rank(b) ||
+      (rank(a) < order.length
+        ? b.priority - a.priority || a.createdAt.localeCompare(b.createdAt)
+        : 0) ||
+      b.createdAt.localeCompare(a.createdAt)
+  );
+}
+
+/**
+ * Get a job by id
+ *
+ * @param {String} id
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+  return db.getJob(id) || null;
+}
+
+/**
+ * Look a job up for changing it
+ *
+ * @param {String} id
+ * @param {Array} statuses What the job has to be doing for the change to make sense
+ * @param {String} action For the error message
+ * @returns {Object} The job
+ * @throws {Error} When there's no such job or it can't be changed like that
+ */
+function jobFor(id, statuses, action) {
+  // The running job is changed in place, or the runner would save over the change
+  const job = current && current.id === id ? current.job : db.getJob(id);
+
+  if (!job) {
+    throw new Error(`No job ${id}`);
+  }
+  if (!statuses.includes(job.status)) {
+    throw new Error(`Can't ${action} a job that's ${job.status}`);
+  }
+  return job;
+}
+
+/**
+ * Stop a job after the files in flight, or keep it from starting
+ *
+ * @param {String} id
+ * @param {String} status 'paused' or 'cancelled'
+ * @returns {Object} The job
+ */
+function stopJob(id, status) {
+  if (current && current.id === id) {
+    current.stopAs = status;
+    current.controller.abort();
+    console.log(chalk.yellow(`Stopping job ${id} once the files in flight are done...`));
+    return current.job;
+  }
+
+  const job = db.getJob(id);
+  job.status = status;
+  return saveJob(job);
+}
+
+/**
+ * Pause a job, it keeps its place and picks up where it stopped when resumed
+ *
+ * @param {String} id
+ * @returns {Object} The job
+ */
+export function pauseJob(id) {
+  jobFor(id, ['queued', 'running'], 'pause');
+  return stopJob(id, 'paused');
+}
+
+/**
+ * Cancel a job, for good
+ *
+ * @param {String} id
+ * @returns {Object} The job
+ */
+export function cancelJob(id) {
+  jobFor(id, ['queued', 'running', 'paused'], 'cancel');
+  return stopJob(id, 'cancelled');
+}
+
+/**
+ * Put a paused or failed job back in the queue
+ *
+ * @param {String} id
+ * @returns {Object} The job
+ */
+export function resumeJob(id) {
+  const job = jobFor(id, ['paused', 'failed'], 'resume');
+  job.status = 'queued';
+  job.error = null;
+  saveJob(job);
+  runQueue().catch(logQueueError);
+  return job;
+}
+
+/**
+ * Move a job up or down the queue
+ *
+ * @param {String} id
+ * @param {Number} priority Higher runs sooner
+ * @returns {Object} The job
+ */
+export function prioritizeJob(id, priority) {
+  if (!Number.isInteger(priority)) {
+    throw new Error('Priority must be a whole number');
+  }
+
+  const job = jobFor(id, ['queued', 'paused', 'running'], 'reprioritize');
+  job.priority = priority;
+  return saveJob(job);
+}
+
+/**
+ * Pick the queue up again after a restart. Jobs that were running when the
+ * process went away are queued again.
+ */
+export function startJobQueue() {
+  Object.values(db.getJobs() || {})
+    .filter((job) => job.status === 'running')
+    .forEach((job) => {
+      job.status = 'queued';
+      job.groups.forEach((group) => {
+        if (group.status === 'running') {
+          group.status = 'pending';
+        }
+      });
+      saveJob(job);
+    });
+
+  runQueue().catch(logQueueError);
+}
+
+/**
+ * What's left when the queue itself fails, e.g. when a failed job can't be saved either.
+ * The queue picks up again with the next job added or resumed.
+ *
+ * @param {Error} error
+ */
+function logQueueError(error) {
+  console.error(chalk.red(`The download queue stopped: ${error.message}`));
+}
+
+/**
+ * Run queued jobs until there are none left
+ */
+async function runQueue() {
+  if (queueRunning) {
+    return;
+  }
+
+  queueRunning = true;
+  try {
+    let job;
+    while ((job = listJobs().find((candidate) => candidate.status === 'queued'))) {
+      await runJob(job);
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+/**
+ * Download a job's groups that haven't been done yet
+ *
+ * @param {Object} job
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  current = { id: job.id, job, controller, stopAs: null };
+
+  try {
+    job.status = 'running';
+    saveJob(job);
+    notify('started', job);
+
+    const token = getToken(job.profile || undefined);
+    if (!token) {
+      throw new Error(job.profile ? `No token for profile ${job.profile}` : 'No token available');
+    }
+
+    for (let index = 0; index < job.groups.length && !controller.signal.aborted; index++) {
+      const group = job.groups[index];
+      if (group.status === 'done') {
+        continue;
+      }
+
+      group.status = 'running';
+      group.error = null;
+      saveJob(job);
+      notify('group', job, { index });
+
+      const options = {
+        ...job.options,
+        ...(outputDirs.has(job.id) ? { outputDir: outputDirs.get(job.id) } : {}),
+        signal: controller.signal,
+        onMediaList: (mediaList) => {
+          group.name = mediaList.displayName;
+          group.total = mediaList.media.length;
+          saveJob(job);
+        },
+        onProgress: (counts) => {
+          Object.assign(group, counts);
+          saveJob(job);
+          notify('progress', job, { index });
+        },
+        // Too many of these to save, they only go to listeners
+        onEvent: (event) => notify('item', job, { index, event }),
+      };
+
+      try {
+        if (group.media) {
+          await downloadItems(token, group.groupId, group.media, options);
+        } else if (group.retry) {
+          const { onMediaList, ...overrides } = options;
+          await retryFailed(token, { groupIds: [group.groupId], overrides, onMediaList });
+        } else if (group.sync) {
+          const { options: remembered = {} } = db.getSyncState(group.groupId) || {};
+          await downloadGroup(token, group.groupId, {
+            ...remembered,
+            ...options,
+            incremental: true,
+          });
+        } else {
+          await downloadGroup(token, group.groupId, options);
+        }
+        group.status = controller.signal.aborted ? 'pending' : 'done';
+      } catch (error) {
+        // A bad token will fail every group the same way, no point carrying on
+        if (error.message.includes('Invalid or expired token')) {
+          throw error;
+        }
+        console.error(
+          chalk.red(`Failed to download ${group.name || group.groupId}: ${error.message}`)
+        );
+        group.status = 'failed';
+        group.error = error.message;
+      }
+      saveJob(job);
+    }
+
+    job.status = current.stopAs || 'completed';
+    if (job.status === 'completed' || job.status === 'cancelled') {
+      outputDirs.delete(job.id);
+    }
+  } catch (error) {
+    console.error(chalk.red(`Job ${job.id} failed: ${error.message}`));
+    job.status = 'failed';
+    job.error = error.message;
+    job.groups.forEach((group) => {
+      if (group.status === 'running') {
+        group.status = 'pending';
+      }
+    });
+  } finally {
+    current = null;
+  }
+
+  saveJob(job);
+  notify('finished', job);
+}
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import chalk from 'chalk';
+import db from './db';
+import { getHashFromMediaItem } from './media-organizer';
+import { createStorage } from './storage';
+
+/**
+ * The manifest is a record of every file we've downloaded, keyed by the GroupMe
+ * hash of the original. It's what lets a repeated run skip files that are already
+ * on disk, even under a different layout or name, and what --verify checks against.
+ *
+ * Local files are recorded by their path. Files in remote storage also record the
+ * storage location and their key in it, see ./storage.
+ *
+ * Downloads that failed are kept in a ledger next to it, under the same keys, with
+ * what went wrong and how often they were tried, until a later run gets them.
+ */
+
+/**
+ * Key a media item is recorded under. Falls back to the URL for the odd item
+ * without a recognisable hash, so unrelated files never share an entry.
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {String}
+ */
+export function getManifestKey(mediaItem) {
+  const hash = getHashFromMediaItem(mediaItem);
+  return hash === 'unknown' ? mediaItem.url : hash;
+}
+
+/**
+ * Checksum a stream
+ *
+ * @param {Object} stream Readable stream
+ * @returns {Promise<String>} sha256 hex digest
+ */
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const checksum = crypto.createHash('sha256');
+    stream
+      .on('data', (chunk) => checksum.update(chunk))
+      .on('end', () => resolve(checksum.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Checksum a file on disk
+ *
+ * @param {String} filePath
+ * @returns {Promise<String>} sha256 hex digest
+ */
+export function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+/**
+ * Size of a recorded file as it is now
+ *
+ * @param {Object} entry Manifest entry
+ * @returns {Promise<Number|null>} null if it's gone
+ */
+async function getStoredSize(entry) {
+  if (entry.location) {
+    const stored = await createStorage(entry.location).exists(entry.key);
+    return stored ? stored.size : null;
+  }
+
+  return fs.existsSync(entry.path) ? fs.statSync(entry.path).size : null;
+}
+
+/**
+ * Find an earlier download of a media item that's still there. Only the size
+ * is checked here, a full re-hash of every file on every run is what --verify is for.
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {Promise<Object|null>} Manifest entry
+ */
+export async function findDownloaded(mediaItem) {
+  const entry = db.getManifestEntry(getManifestKey(mediaItem));
+
+  if (!entry) {
+    return null;
+  }
+
+  return (await getStoredSize(entry)) === entry.size ? entry : null;
+}
+
+/**
+ * Record a finished download
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @param {Object} download
+ * @param {String} download.path Where the file was saved
+ * @param {String} download.location Remote storage it was saved to, if any
+ * @param {String} download.key Its key in that storage
+ * @param {String} download.checksum sha256 hex digest, null if not known yet
+ * @param {Number} download.size Size in bytes
+ * @param {String} download.groupId Group the item came from
+ * @param {String} download.groupName Group folder name
+ */
+export function recordDownload(
+  mediaItem,
+  { path, location, key, checksum, size, groupId, groupName }
+) {
+  db.setManifestEntry(getManifestKey(mediaItem), {
+    path,
+    ...(location ? { location, key } : {}),
+    checksum,
+    size,
+    groupId,
+    groupName,
+    item: mediaItem,
+    downloadedAt: new Date().toISOString(),
+  });
+
+  if (db.getFailedItem(getManifestKey(mediaItem))) {
+    db.removeFailedItem(getManifestKey(mediaItem));
+  }
+}
+
+/**
+ * Record a failed download attempt in the ledger
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @param {Object} failure
+ * @param {String} failure.error What went wrong
+ * @param {Number} failure.statusCode HTTP status, null if the request never got one
+ * @param {String} failure.groupId Group the item came from
+ * @param {String} failure.groupName Group folder name
+ * @param {String} failure.displayName Group name as shown in GroupMe
+ * @param {Object} failure.options Download options to try it again with, see mediaDownloader
+ * @returns {Object} Ledger entry
+ */
+export function recordFailure(
+  mediaItem,
+  { error, statusCode = null, groupId, groupName, displayName, options }
+) {
+  const key = getManifestKey(mediaItem);
+  const previous = db.getFailedItem(key);
+  const now = new Date().toISOString();
+  const entry = {
+    item: mediaItem,
+    error,
+    statusCode,
+    attempts: previous ? previous.attempts + 1 : 1,
+    groupId,
+    groupName,
+    displayName,
+    options,
+    firstFailedAt: previous ? previous.firstFailedAt : now,
+    lastFailedAt: now,
+  };
+
+  db.setFailedItem(key, entry);
+  return entry;
+}
+
+/**
+ * Downloads that failed and haven't been downloaded since
+ *
+ * @param {Object} options
+ * @param {Array} options.groupIds Only these groups, defaults to all
+ * @returns {Array} Ledger entries, oldest failure first
+ */
+export function getFailures({ groupIds } = {}) {
+  const entries = groupIds
+    ? groupIds.flatMap((groupId) => Object.values(db.getFailedItems(groupId)))
+    : Object.values(db.getFailedItems() || {});
+
+  return entries.sort((a, b) => a.firstFailedAt.localeCompare(b.firstFailedAt));
+}
+
+/**
+ * Re-hash every recorded file and forget the ones that are missing or don't match
+ * their checksum anymore, so they can be downloaded again. Corrupt files are removed.
+ * Files that can't be read, e.g. while their storage is down, are reported and
+ * left as they are, the rest are checked all the same.
+ *
+ * @param {Object} options
+ * @param {Array} options.groupIds Only verify these groups, defaults to all
+ * @returns {Promise<Object>} Counts, and the entries to download again or that couldn't be read
+ */
+export async function verifyDownloads({ groupIds } = {}) {
+  const entries = groupIds
+    ? Object.assign({}, ...groupIds.map((groupId) => db.getManifestEntries(groupId)))
+    : db.getManifestEntries() || {};
+  const result = { ok: 0, missing: [], corrupt: [], unreadable: [] };
+  const keys = Object.keys(entries);
+
+  console.log(chalk.cyan(`Verifying ${keys.length} downloaded files...`));
+
+  for (const key of keys) {
+    const entry = entries[key];
+
+    try {
+      const storage = entry.location ? createStorage(entry.location) : null;
+
+      if ((await getStoredSize(entry)) === null) {
+        console.log(chalk.yellow(`Missing: ${entry.path}`));
+        result.missing.push(entry);
+        db.removeManifestEntry(key);
+        continue;
+      }
+
+      const checksum = storage
+        ? await hashStream(await storage.read(entry.key))
+        : await hashFile(entry.path);
+
+      // Remote files taken over from an earlier run are only checksummed here
+      if (!entry.checksum) {
+        db.setManifestEntry(key, { ...entry, checksum });
+      } else if (checksum !== entry.checksum) {
+        console.log(chalk.yellow(`Corrupt: ${entry.path}`));
+        result.corrupt.push(entry);
+        if (storage) {
+          await storage.remove(entry.key);
+        } else {
+          fs.unlinkSync(entry.path);
+        }
+        db.removeManifestEntry(key);
+        continue;
+      }
+    } catch (error) {
+      console.log(chalk.red(`Couldn't read ${entry.path}: ${error.message}`));
+      result.unreadable.push(entry);
+      continue;
+    }
+
+    result.ok++;
+  }
+
+  console.log(
+    chalk.green(
+      `Verified ${keys.length} files: ${result.ok} ok, ${result.missing.length} missing, ` +
+        `${result.corrupt.length} corrupt, ${result.unreadable.length} unreadable`
+    )
+  );
+
+  return result;
+}
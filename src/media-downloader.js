@@ -1,15 +1,35 @@
 import ProgressBar from 'progress';
+import http from 'http';
 import https from 'https';
 import url from 'url';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
 import chalk from 'chalk';
 import db from './db';
-
-const MEDIA_DIR = path.resolve(__dirname, '../', 'media');
-const IMAGE_FILE_TYPES = /\.(png|jpeg|jpg|gif|bmp|webp)/;
-const VIDEO_FILE_TYPES = /\.(mp4|mov|wmv|mkv|webm)/;
-const DOWNLOAD_TIMEOUT = 30000; // 30 seconds timeout
+import {
+  findDownloaded,
+  getManifestKey,
+  hashFile,
+  recordDownload,
+  recordFailure,
+} from './manifest';
+import { getCreatedDate, numberFilePath, planFilePaths } from './media-organizer';
+import { buildMetadata, embedMetadata, writeSidecar } from './metadata-writer';
+import { createStorage, toStorageKey } from './storage';
+import { createThumbnailFile, thumbnailKey } from './thumbnails';
+
+export const MEDIA_DIR = path.resolve('media'); // Next to ./data, in the folder the app runs from
+export const PARTIAL_SUFFIX = '.part'; // Downloads in progress, renamed once complete
+const DOWNLOAD_IDLE_TIMEOUT = 30000; // Give up on a download that's received nothing for 30 seconds
+const DEFAULT_PARALLEL = 3;
+const MAX_REDIRECTS = 5;
+const PROGRESS_LOG_INTERVAL = 5000; // How often to report on a single long download
+const PROGRESS_EVENT_INTERVAL = 500; // How often to send byte counts for a download in flight
+const RETRY_ROUNDS = 3; // Goes at the failures once everything else is done
+const RETRY_DELAY = 1000; // Before the first retry, doubled every round
+const PERMANENT_FAILURES = [404, 410]; // Not worth retrying, the file is gone
 
 /**
  * Returns current timestamp in [HH:MM:SS] format
@@ -30,266 +50,781 @@ function logWithTime(message, ...args) {
 }
 
 /**
- * All GroupMe photos either are, or end with, a 32 digit hash.
- * Groupme file names aren't consistent, so we need to do a bunch
- * of checking and guarding against these inconsistencies
+ * Wait a while, or until the signal is aborted
  *
- * An image URL could be any of the following:
- *   - https://i.groupme.com/06a398bdf6bd9db15f47a27f72fcecea
- *   - https://i.groupme.com/999x999.jpeg.06a398bdf6bd9db15f47a27f72fcecea
- *   - https://i.groupme.com/999x999.jpeg.06a398bdf6bd9db15f47a27f72fcecea.large
+ * @param  {Number} ms
+ * @param  {AbortSignal} signal (optional)
+ * @return {Promise}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+/**
+ * Shared files sit behind the user's token, everything else is public.
+ * Linked images may live on plain http hosts outside of GroupMe.
  *
- * Whomever architected this needs to be sat in a corner and made
- * to write "I will not break file naming conventions for dumb arbitrary reasons" a thousand times.
+ * @param  {String} mediaUrl
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {Number} offset (optional) Carry on from this byte of a partial download
+ */
+function requestMediaItem(mediaUrl, token, offset = 0) {
+  const { protocol, hostname, port, path: requestPath } = url.parse(mediaUrl);
+  const headers = {
+    'User-Agent':
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_11_2) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/47.0.2526.106 Safari/537.36',
+    Referer: 'https://app.groupme.com/chats',
+  };
+
+  if (token && hostname === 'file.groupme.com') {
+    headers['X-Access-Token'] = token;
+  }
+
+  if (offset) {
+    headers.Range = `bytes=${offset}-`;
+  }
+
+  return (protocol === 'http:' ? http : https).request({
+    host: hostname,
+    port,
+    path: requestPath,
+    headers,
+    timeout: DOWNLOAD_IDLE_TIMEOUT,
+  });
+}
+
+/**
+ * Write a sidecar and/or embed tags for a finished download
  *
- * @param  {String} URL to a GroupMe image or video
- * @return {String} '<hash>.<extension>'
+ * @param  {String} filePath Downloaded file
+ * @param  {Object} mediaItem Item from the media list
+ * @param  {Object} context
+ * @param  {String} context.groupId Group the item belongs to
+ * @param  {String} context.groupName Group name as shown in GroupMe
+ * @param  {Array} context.metadata Which of METADATA_MODES to write
+ * @return {Promise<Boolean>} Whether the downloaded file itself was changed
  */
-function renameFile(fileUrl, userName) {
-  const URL = url.parse(fileUrl);
-  const host = URL.hostname;
-
-  // This is the only reliable way to determine if a download is an image
-  // due to groupme sometimes not bothering giving a file an extension.
-  // Someday I'll write something to crack open the file and get the headers
-  // ¯\_(ツ)_/¯
-  const isImage = host === 'i.groupme.com';
-
-  // Grab the first 32 chars of each image name
-  const imageHashMatch = /(.{32})\s*$/.exec(fileUrl);
-  const imageHash = imageHashMatch ? imageHashMatch[0] : 'unknown';
-
-  // Video URL's
-  const videoHashMatch = /([^/]+$)/.exec(fileUrl);
-  const videoHash = videoHashMatch ? videoHashMatch[0].split('.')[0] : 'unknown';
-
-  // I think I accounted for all possible filetypes Groupme supports.
-  // Knowing them, this will eventually error out somehow.
-  const fileTypes = isImage ? IMAGE_FILE_TYPES : VIDEO_FILE_TYPES;
-
-  // Maybe it's a file? Probably worth checking later...
-  const possibleFileType = fileTypes.exec(fileUrl);
-
-  // Super naive filetype check
-  const hasFileType = possibleFileType && possibleFileType.length > 0;
-
-  // Which hash to use
-  const hash = isImage ? imageHash : videoHash;
-
-  // Filesystem safe string for usernames
-  const user = userName.split(' ').join('_');
-
-  // To the best of my knowledge, GroupMe strips EXIF data.
-  // Which would be immensely fucking useful here.
-  let fileType = '';
-  if (hasFileType) {
-    fileType = possibleFileType[0];
-  } else {
-    // Most common media formats on GroupMe. This could be wrong. Again, EXIF Data would be useful.
-    if (isImage) {
-      fileType = '.jpg';
-    } else {
-      fileType = '.mp4';
-    }
+async function saveMetadata(filePath, mediaItem, { groupId, groupName, metadata }) {
+  const details = buildMetadata(mediaItem, { groupId, groupName }, getCreatedDate(mediaItem));
+
+  if (metadata.includes('sidecar')) {
+    writeSidecar(filePath, details);
   }
 
-  // Final filename
-  return `${user}-${hash}${fileType}`;
+  return metadata.includes('embed') ? embedMetadata(filePath, details) : false;
 }
 
-function requestMediaItem(mediaUrl) {
-  return https.request({
-    host: url.parse(mediaUrl).host,
-    path: url.parse(mediaUrl).pathname,
-    headers: {
-      'User-Agent':
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_11_2) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/47.0.2526.106 Safari/537.36',
-      Referer: 'https://app.groupme.com/chats',
-    },
-    timeout: DOWNLOAD_TIMEOUT,
-  });
+/**
+ * Where a file ended up, as the manifest records it
+ *
+ * @param  {Object} storage Storage driver
+ * @param  {String} key
+ * @return {Object}
+ */
+function storedAt(storage, key) {
+  return {
+    path: storage.url(key),
+    ...(storage.localRoot ? {} : { location: storage.location, key }),
+  };
 }
 
 /**
- * @param  {Object} User selected group
- * @param  {Object} socketIO (optional) - Socket.IO instance for real-time updates
- * @return {Promise} Resolves when all downloads are complete
+ * Move a finished download from the staging folder into remote storage,
+ * its sidecar and thumbnail along with it
+ *
+ * @param  {Object} storage Storage driver
+ * @param  {String} key
+ * @param  {String} filePath Staged file
  */
-export async function mediaDownloader(mediaList) {
-  if (!mediaList || !mediaList.groupId || !mediaList.groupName) {
-    throw new Error('Invalid media list: missing group information');
+async function uploadDownload(storage, key, filePath) {
+  const files = [
+    [key, filePath],
+    [`${key}.json`, `${filePath}.json`],
+    [thumbnailKey(key), thumbnailKey(filePath)],
+  ].filter(([, localPath]) => fs.existsSync(localPath));
+
+  for (const [fileKey, localPath] of files) {
+    await storage.write(fileKey, fs.createReadStream(localPath), {
+      size: fs.statSync(localPath).size,
+    });
+    fs.unlinkSync(localPath);
   }
+}
 
-  const baseDir = path.join(__dirname, '../media', mediaList.groupName);
+/**
+ * A name next to a taken one that nothing is saved under yet, e.g. photo-2.jpg
+ * for photo.jpg. Files still being downloaded don't count, so an interrupted
+ * download picks the same name again and resumes.
+ *
+ * @param  {Object} storage Storage driver
+ * @param  {String} filePath Taken path
+ * @param  {String} key Its key in the storage
+ * @param  {Set} claimed Paths other items of the run are saved to, the new one is added
+ * @return {Promise<Object>} { filePath, key }
+ */
+async function findFreeName(storage, filePath, key, claimed) {
+  for (let count = 2; ; count++) {
+    const candidate = {
+      filePath: numberFilePath(filePath, count),
+      key: numberFilePath(key, count),
+    };
+    if (!claimed.has(candidate.filePath) && !(await storage.exists(candidate.key))) {
+      claimed.add(candidate.filePath);
+      return candidate;
+    }
+  }
+}
 
-  // Ensure media directory exists
-  if (!fs.existsSync(baseDir)) {
-    fs.mkdirSync(baseDir, { recursive: true });
+/**
+ * Download a single media item, following redirects along the way.
+ * Never rejects: failures are logged, the partial file is cleaned up and the
+ * outcome is reported back, with the reason for a skip or failure, so the
+ * pool can move on.
+ *
+ * Items already in the manifest are skipped, wherever they were saved. A file
+ * at the target path that the manifest says is the item, but that isn't the
+ * size it was saved at anymore, is downloaded again. Any other file there is
+ * left alone, and the item is saved next to it under a name of its own, see
+ * findFreeName.
+ *
+ * For remote storage the item is downloaded to a staging folder first, so
+ * metadata can be written and the checksum taken, then uploaded.
+ *
+ * The file is written next to its final path with PARTIAL_SUFFIX, and only
+ * renamed once every byte the server announced is in, so a crash never leaves
+ * a truncated file that looks complete. If the server takes Range requests an
+ * interrupted download keeps its partial file, and the next attempt carries on
+ * from there. A download is only given up on when it stalls, however long a
+ * big video takes.
+ *
+ * @param  {Object} mediaItem Item from the media list
+ * @param  {Object} context
+ * @param  {String} context.filePath Where to download the item, null if it's a duplicate
+ * @param  {Object} context.storage Storage driver the item ends up in
+ * @param  {String} context.key Key of the item in the storage
+ * @param  {String} context.groupId Group the item belongs to
+ * @param  {String} context.groupName Group folder name
+ * @param  {String} context.token GroupMe Developer Token ID, for shared files
+ * @param  {String} context.displayName (optional) Group name as shown in GroupMe
+ * @param  {String} context.label Position of the item in the queue, e.g. '12/340'
+ * @param  {Array} context.metadata Which of METADATA_MODES to write once it's downloaded
+ * @param  {Boolean} context.thumbnails Make a thumbnail for the gallery once it's downloaded
+ * @param  {Function} context.report Called with 'itemStarted' or 'itemProgress' and event details
+ * @param  {Set} context.claimed Paths other items of the run are saved to
+ * @return {Promise<Object>} { outcome: 'completed', 'skipped' or 'failed', reason, statusCode, bytes }
+ */
+async function downloadMediaItem(
+  mediaItem,
+  {
+    filePath,
+    storage,
+    key,
+    groupId,
+    groupName,
+    displayName,
+    token,
+    label,
+    metadata,
+    thumbnails,
+    report,
+    claimed,
+  }
+) {
+  const { url: URL } = mediaItem;
+
+  // Ensure all URL's exist and are web addresses. Linked images aren't always on GroupMe.
+  if (!URL || typeof URL !== 'string' || !/^https?:\/\//.test(URL)) {
+    logWithTime(chalk.yellow(`Skipping invalid URL for item ${label}`));
+    return { outcome: 'skipped', reason: 'Invalid URL' };
+  }
+
+  if (!filePath) {
+    logWithTime(chalk.yellow(`Skipping item ${label}, it's a duplicate of an earlier one: ${URL}`));
+    return { outcome: 'skipped', reason: 'Duplicate of an earlier item' };
   }
 
-  return new Promise((resolve, reject) => {
+  let existing = null;
+  try {
+    const downloaded = await findDownloaded(mediaItem);
+    if (downloaded) {
+      logWithTime(chalk.gray(`Skipping item ${label}, already downloaded as ${downloaded.path}`));
+      return { outcome: 'skipped', reason: `Already downloaded as ${downloaded.path}` };
+    }
+
+    existing = await storage.exists(key);
+  } catch (error) {
+    logWithTime(chalk.red(`Couldn't check for item ${label} in ${storage.location}: ${error.message}`));
+    return { outcome: 'failed', reason: `Couldn't check ${storage.location}: ${error.message}` };
+  }
+
+  // Only a file this item was recorded as is its own, anything else there is another item's
+  const entry = existing && db.getManifestEntry(getManifestKey(mediaItem));
+  if (existing && !(entry && entry.path === storage.url(key))) {
+    const taken = storage.url(key);
     try {
-      const TOTAL_PHOTOS = mediaList.media.length;
+      ({ filePath, key } = await findFreeName(storage, filePath, key, claimed));
+    } catch (error) {
+      logWithTime(
+        chalk.red(`Couldn't check for item ${label} in ${storage.location}: ${error.message}`)
+      );
+      return { outcome: 'failed', reason: `Couldn't check ${storage.location}: ${error.message}` };
+    }
+    logWithTime(
+      chalk.yellow(`${taken} holds another file, saving item ${label} as ${storage.url(key)}`)
+    );
+  } else if (existing) {
+    // It was recorded here, but findDownloaded turned it down: it's not the size it was saved at
+    logWithTime(
+      chalk.yellow(`${storage.url(key)} isn't the size it was saved at, downloading item ${label} again`)
+    );
+    db.removeManifestEntry(getManifestKey(mediaItem));
+  }
+
+  logWithTime(chalk.cyan(`Starting download ${label}: ${URL}`));
+
+  const fileName = path.basename(filePath);
+  const partPath = `${filePath}${PARTIAL_SUFFIX}`;
+  const downloadStartTime = Date.now();
 
-      const downloader = (arr, curr = 1) => {
-        // Guard against undefined or null array
-        if (!arr || !Array.isArray(arr)) {
-          logWithTime(chalk.yellow('No media items to process'));
-          return resolve();
+  let resumeFrom;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Left by an interrupted attempt, pick up where it stopped
+    resumeFrom = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  } catch (error) {
+    logWithTime(chalk.red(`Couldn't get ${filePath} ready for item ${label}: ${error.message}`));
+    return { outcome: 'failed', reason: `Couldn't get ${filePath} ready: ${error.message}` };
+  }
+  if (resumeFrom) {
+    logWithTime(chalk.cyan(`Resuming ${label} from ${(resumeFrom / 1024 / 1024).toFixed(2)}MB`));
+  }
+  report('itemStarted', { fileName, resumeFrom });
+
+  return new Promise((resolve) => {
+    let file = null;
+    let request = null;
+    let settled = false;
+    let receivedBytes = 0;
+    let transferred = false; // Every byte is in, a quiet connection doesn't matter anymore
+    let renamed = false;
+    // Whether the server takes Range requests, only then is a partial file worth keeping
+    let resumable = resumeFrom > 0;
+
+    // Only the first outcome counts, a stall and an error can race each other
+    const finish = (outcome, cleanup, reason = null, statusCode = null) => {
+      if (settled) return;
+      settled = true;
+
+      if (cleanup) {
+        if (request) request.destroy();
+        if (file) file.destroy();
+
+        // A finished file goes, a partial one stays if the next attempt can carry on from it
+        const leftover = renamed ? filePath : partPath;
+        if (renamed || !resumable) {
+          try {
+            fs.rmSync(leftover, { force: true });
+          } catch (error) {
+            logWithTime(chalk.yellow(`Couldn't remove ${leftover}: ${error.message}`));
+          }
         }
+      }
+
+      resolve({ outcome, reason, statusCode, bytes: receivedBytes });
+    };
 
-        if (arr.length > 0) {
-          let mediaItem = arr.shift(); // Remove and get first item
-          let { url: URL, user: USER, created: CREATED_AT } = mediaItem;
+    const fetchFrom = (currentUrl, redirectsLeft, offset) => {
+      request = requestMediaItem(currentUrl, token, offset);
+
+      request.on('timeout', () => {
+        if (transferred) return;
+        logWithTime(
+          chalk.red(`Download ${label} stalled, nothing received for ${DOWNLOAD_IDLE_TIMEOUT / 1000}s: ${URL}`)
+        );
+        finish('failed', true, `Stalled for ${DOWNLOAD_IDLE_TIMEOUT / 1000}s`);
+      });
+
+      request.on('response', (response) => {
+        const { statusCode, headers } = response;
+
+        // Shared files and linked images are often served from somewhere else
+        if (statusCode >= 300 && statusCode < 400 && headers.location && redirectsLeft > 0) {
+          response.resume();
+          return fetchFrom(url.resolve(currentUrl, headers.location), redirectsLeft - 1, offset);
+        }
 
-          // Ensure all URL's exist, and are pointing to GroupMe
-          if (!URL || typeof URL !== 'string' || !URL.includes('groupme.com')) {
-            logWithTime(chalk.yellow(`Skipping invalid URL for item ${curr}/${TOTAL_PHOTOS}`));
-            db.removeMediaItem(mediaList.groupId, { url: URL });
-            return downloader(arr, curr + 1);
+        // The partial file doesn't fit what the server has now, start over
+        if (statusCode === 416 && offset) {
+          response.resume();
+          try {
+            fs.rmSync(partPath, { force: true });
+          } catch (error) {
+            logWithTime(chalk.red(`Couldn't remove ${partPath} to start over: ${error.message}`));
+            return finish('failed', true, `Couldn't start over: ${error.message}`);
           }
+          return fetchFrom(currentUrl, redirectsLeft, 0);
+        }
 
-          logWithTime(chalk.cyan(`Starting download ${curr}/${TOTAL_PHOTOS}: ${URL}`));
+        if (statusCode !== 200 && statusCode !== 206) {
+          logWithTime(
+            chalk.yellow('Skipping, could not fetch:'),
+            URL,
+            'Due to:',
+            statusCode,
+            response.statusMessage
+          );
+          response.resume();
+          if (PERMANENT_FAILURES.includes(statusCode)) {
+            resumable = false;
+          }
+          return finish('failed', true, `HTTP ${statusCode} ${response.statusMessage}`, statusCode);
+        }
 
-          const fileName = renameFile(URL, USER);
-          const filePath = path.join(baseDir, fileName);
-          const file = fs.createWriteStream(filePath);
-          const request = requestMediaItem(URL);
-          let downloadStartTime = Date.now();
+        // A server that ignores the Range header sends the whole file again
+        const start = statusCode === 206 ? offset : 0;
+        resumable = statusCode === 206 || headers['accept-ranges'] === 'bytes';
 
-          // Set a timeout for the entire download operation
-          const downloadTimeout = setTimeout(() => {
-            const elapsed = (Date.now() - downloadStartTime) / 1000;
-            logWithTime(chalk.red(`Download timed out after ${elapsed.toFixed(1)} seconds: ${URL}`));
-            request.destroy();
-            file.end();
+        const length = Number(headers['content-length']);
+        const rangeTotal = /\/(\d+)$/.exec(headers['content-range'] || '');
+        const total = rangeTotal ? Number(rangeTotal[1]) : length ? start + length : null;
 
-            // Clean up partial file
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-            }
+        if (!total) {
+          logWithTime(chalk.yellow(`Warning: No content-length header for ${URL}`));
+        }
 
-            // Move on to the next item
-            db.removeMediaItem(mediaList.groupId, { url: URL });
-            return downloader(arr, curr + 1);
-          }, DOWNLOAD_TIMEOUT);
-
-          request.on('response', (response) => {
-            if (response.statusCode !== 200) {
-              logWithTime(
-                chalk.yellow('Skipping, could not fetch:'),
-                URL,
-                'Due to:',
-                response.statusCode,
-                response.statusMessage
-              );
-
-              clearTimeout(downloadTimeout);
-              file.end();
-              db.removeMediaItem(mediaList.groupId, { url: URL });
-
-              return downloader(arr, curr + 1);
-            }
+        receivedBytes = start;
+        let lastProgressTime = Date.now();
+        let lastEventTime = 0;
+        // A resumed file is checksummed whole once it's complete
+        const checksum = start ? null : crypto.createHash('sha256');
 
-            const total = Number(response.headers['content-length']);
+        file = fs.createWriteStream(partPath, { flags: start ? 'a' : 'w' });
 
-            if (!total) {
-              logWithTime(chalk.yellow(`Warning: No content-length header for ${URL}`));
+        file.on('error', (error) => {
+          logWithTime(chalk.red(`File system error for ${URL}: ${error.message}`));
+          finish('failed', true, error.message);
+        });
+
+        response.on('data', (chunk) => {
+          receivedBytes += chunk.length;
+          if (checksum) {
+            checksum.update(chunk);
+          }
+
+          // Let the write stream catch up before reading more
+          if (!file.write(chunk)) {
+            response.pause();
+            file.once('drain', () => response.resume());
+          }
+
+          const now = Date.now();
+          if (now - lastEventTime > PROGRESS_EVENT_INTERVAL) {
+            lastEventTime = now;
+            report('itemProgress', { receivedBytes, totalBytes: total || null });
+          }
+
+          if (now - lastProgressTime > PROGRESS_LOG_INTERVAL) {
+            lastProgressTime = now;
+            const receivedMB = (receivedBytes / 1024 / 1024).toFixed(2);
+            const totalMB = total ? ` of ${(total / 1024 / 1024).toFixed(2)}MB` : '';
+            logWithTime(chalk.cyan(`Still downloading ${label}, received ${receivedMB}MB${totalMB} so far...`));
+          }
+        });
+
+        // The connection can drop half way through a file without the request failing
+        response.on('error', (error) => {
+          if (settled) return;
+          logWithTime(chalk.red(`Connection lost downloading ${label}: ${error.message}`));
+          finish('failed', true, `Connection lost: ${error.message}`);
+        });
+        response.on('close', () => {
+          if (!response.complete && !settled) {
+            logWithTime(chalk.red(`Connection closed before ${label} was downloaded: ${URL}`));
+            finish('failed', true, 'Connection closed early');
+          }
+        });
+
+        response.on('end', () => {
+          if (settled) return;
+          const elapsed = (Date.now() - downloadStartTime) / 1000;
+
+          // The download is done, tagging a big video mustn't count as a stall
+          transferred = true;
+
+          file.end(async () => {
+            if (settled) return;
+
+            if (total && receivedBytes !== total) {
+              logWithTime(chalk.red(`Download ${label} ended early, got ${receivedBytes} of ${total} bytes: ${URL}`));
+              return finish('failed', true, `Incomplete, got ${receivedBytes} of ${total} bytes`);
             }
 
-            const bar = new ProgressBar(`${getTimestamp()} Downloading [:bar] [${curr} / ${TOTAL_PHOTOS}]`, {
-              complete: '=',
-              incomplete: '-',
-              width: 20,
-              total: total || 1000000, // Default value if content-length is missing
-            });
-
-            let receivedBytes = 0;
-            let lastProgressTime = Date.now();
-
-            response.on('data', (chunk) => {
-              receivedBytes += chunk.length;
-              file.write(chunk);
-
-              if (total) {
-                bar.tick(chunk.length);
-              } else {
-                const now = Date.now();
-                if (now - lastProgressTime > 5000) {
-                  lastProgressTime = now;
-                  logWithTime(chalk.cyan(`Still downloading #${curr}, received ${(receivedBytes / 1024 / 1024).toFixed(2)}MB so far...`));
+            try {
+              fs.renameSync(partPath, filePath);
+              renamed = true;
+            } catch (err) {
+              logWithTime(chalk.red(`Couldn't move ${fileName} into place: ${err.message}`));
+              return finish('failed', true, err.message);
+            }
+
+            let digest;
+            try {
+              digest = checksum ? checksum.digest('hex') : await hashFile(filePath);
+            } catch (err) {
+              logWithTime(chalk.red(`Couldn't checksum ${fileName}: ${err.message}`));
+              return finish('failed', true, `Couldn't checksum the file: ${err.message}`);
+            }
+            let size = receivedBytes;
+
+            if (metadata && metadata.length) {
+              try {
+                if (await saveMetadata(filePath, mediaItem, {
+                    groupId,
+                    groupName: displayName || groupName,
+                    metadata,
+                  })) {
+                  // The manifest has to describe the file as it is on disk now
+                  size = fs.statSync(filePath).size;
+                  digest = await hashFile(filePath);
                 }
+              } catch (err) {
+                logWithTime(chalk.yellow(`Couldn't write metadata for ${fileName}: ${err.message}`));
               }
-            });
-
-            response.on('end', () => {
-              const elapsed = (Date.now() - downloadStartTime) / 1000;
-              clearTimeout(downloadTimeout);
-
-              file.end(() => {
-                try {
-                  if (CREATED_AT) {
-                    const timestamp = new Date(CREATED_AT);
-                    fs.utimesSync(filePath, timestamp, timestamp);
-                  }
-                  logWithTime(chalk.green(`Download #${curr} completed successfully in ${elapsed.toFixed(1)}s`));
-                } catch (err) {
-                  logWithTime(chalk.yellow(`Couldn't set timestamp for ${fileName}: ${err.message}`));
-                }
-              });
+            }
 
-              setTimeout(() => {
-                db.removeMediaItem(mediaList.groupId, { url: URL });
-                const nextItem = curr + 1;
-                if (nextItem > TOTAL_PHOTOS) {
-                  logWithTime(chalk.green('All downloads completed!'));
-                  return resolve();
-                }
-                return downloader(arr, nextItem);
-              }, 100);
-            });
-          });
+            try {
+              if (mediaItem.created) {
+                const timestamp = getCreatedDate(mediaItem);
+                fs.utimesSync(filePath, timestamp, timestamp);
+              }
+              logWithTime(chalk.green(`Download ${label} completed successfully in ${elapsed.toFixed(1)}s`));
+            } catch (err) {
+              logWithTime(chalk.yellow(`Couldn't set timestamp for ${fileName}: ${err.message}`));
+            }
 
-          request.on('error', (error) => {
-            const elapsed = (Date.now() - downloadStartTime) / 1000;
-            clearTimeout(downloadTimeout);
-            logWithTime(chalk.red(`Error downloading ${URL} after ${elapsed.toFixed(1)}s: ${error.message}`));
-            file.end();
+            if (thumbnails) {
+              try {
+                await createThumbnailFile(filePath, mediaItem);
+              } catch (err) {
+                logWithTime(chalk.yellow(`Couldn't make a thumbnail of ${fileName}: ${err.message}`));
+              }
+            }
 
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
+            if (!storage.localRoot) {
+              try {
+                await uploadDownload(storage, key, filePath);
+              } catch (err) {
+                logWithTime(chalk.red(`Couldn't save ${fileName} to ${storage.location}: ${err.message}`));
+                return finish('failed', true, `Couldn't save to ${storage.location}: ${err.message}`);
+              }
             }
 
-            db.removeMediaItem(mediaList.groupId, { url: URL });
-            return downloader(arr, curr + 1);
+            try {
+              recordDownload(mediaItem, {
+                ...storedAt(storage, key),
+                checksum: digest,
+                size,
+                groupId,
+                groupName,
+              });
+            } catch (err) {
+              logWithTime(chalk.red(`Couldn't record ${fileName} in the manifest: ${err.message}`));
+              return finish('failed', true, `Couldn't record the download: ${err.message}`);
+            }
+            finish('completed');
           });
+        });
+      });
 
-          file.on('error', (error) => {
-            logWithTime(chalk.red(`File system error for ${URL}: ${error.message}`));
-            clearTimeout(downloadTimeout);
-            request.destroy();
+      request.on('error', (error) => {
+        const elapsed = (Date.now() - downloadStartTime) / 1000;
+        logWithTime(chalk.red(`Error downloading ${URL} after ${elapsed.toFixed(1)}s: ${error.message}`));
+        finish('failed', true, error.message);
+      });
 
-            db.removeMediaItem(mediaList.groupId, { url: URL });
-            return downloader(arr, curr + 1);
-          });
+      request.end();
+    };
 
-          request.end();
-        } else {
-          logWithTime(chalk.green('All downloads completed!'));
-          resolve();
-        }
-      };
+    fetchFrom(URL, MAX_REDIRECTS, resumeFrom);
+  });
+}
+
+/**
+ * Downloads a group's media with a pool of workers, each pulling the next
+ * item off a shared queue as soon as it's done with the last one.
+ *
+ * Failed downloads are recorded in the failure ledger (see ./manifest) and
+ * retried a few times once the rest are done, waiting longer each round.
+ * Whatever still fails is listed at the end and stays in the ledger for
+ * --retry-failed.
+ *
+ * Progress is reported to options.onEvent as objects with a type, the group id
+ * and, for items, the item's index in the list and its url:
+ *   groupStarted:  { total, parallel }
+ *   itemStarted:   { fileName, resumeFrom } - the file is being fetched, skipped items never start,
+ *                  resumeFrom is how much an earlier attempt already got
+ *   itemProgress:  { receivedBytes, totalBytes } - a few times a second while fetching,
+ *                  totalBytes is null when the server doesn't say
+ *   itemCompleted: { bytes, elapsed, totals }
+ *   itemSkipped:   { reason, totals }
+ *   itemFailed:    { reason, statusCode, attempts, totals } - attempts counts earlier runs too
+ *   retrying:      { count, round, delay } - failures are about to be tried again
+ *   groupFinished: { totals, stopped }
+ * totals are the group's completed/skipped/failed counts and total so far.
+ *
+ * @param  {Object} User selected group
+ * @param  {Object} options
+ * @param  {String} options.outputDir (optional) - Where group folders go, a folder or storage URL, defaults to ./media
+ * @param  {Number} options.parallel (optional) - How many items to download at once
+ * @param  {String} options.layout (optional) - Folder layout, see LAYOUTS in media-organizer
+ * @param  {String} options.fileNameTemplate (optional) - Filename template, see FILENAME_TOKENS in media-organizer
+ * @param  {Array} options.metadata (optional) - Sidecars and/or embedded tags, see METADATA_MODES in metadata-writer
+ * @param  {Boolean} options.thumbnails (optional) - Make thumbnails for the GUI's gallery as files arrive
+ * @param  {AbortSignal} options.signal (optional) - Stops handing out items once aborted, the ones in flight still finish
+ * @param  {Function} options.onProgress (optional) - Called with the counts and total after every item
+ * @param  {Function} options.onEvent (optional) - Called with every progress event, see above
+ * @return {Promise<Object>} Resolves with completed/skipped/failed counts when all downloads are complete,
+ *   an item that failed and then downloaded on a retry counts as completed
+ */
+export async function mediaDownloader(
+  mediaList,
+  {
+    outputDir,
+    parallel = DEFAULT_PARALLEL,
+    layout = 'flat',
+    fileNameTemplate,
+    metadata = [],
+    thumbnails = false,
+    signal,
+    onProgress,
+    onEvent,
+  } = {}
+) {
+  if (!mediaList || !mediaList.groupId || !mediaList.groupName) {
+    throw new Error('Invalid media list: missing group information');
+  }
+
+  const storage = createStorage(outputDir || MEDIA_DIR);
+
+  const queue = Array.isArray(mediaList.media) ? [...mediaList.media] : [];
+  const TOTAL_PHOTOS = queue.length;
+
+  const counts = { completed: 0, skipped: 0, failed: 0 };
+  const emit = (event) => {
+    if (onEvent) {
+      onEvent({ groupId: mediaList.groupId, ...event });
+    }
+  };
+
+  if (!TOTAL_PHOTOS) {
+    logWithTime(chalk.green('No media to download!'));
+    return counts;
+  }
 
-      if (mediaList.media && mediaList.media.length > 0) {
-        logWithTime(chalk.green(`Starting download of ${TOTAL_PHOTOS} media items`));
-        downloader([...mediaList.media], 1); // Create a copy of the array
+  // Remote storage gets files by way of a staging folder, created as files arrive. It's
+  // the same one every run to the same storage, so partial downloads can be resumed
+  const stagingDir =
+    storage.localRoot ||
+    path.join(
+      os.tmpdir(),
+      'groupme-gallery-downloader',
+      crypto.createHash('sha256').update(storage.location).digest('hex').slice(0, 16)
+    );
+
+  const organizeOptions = {
+    baseDir: stagingDir,
+    groupName: mediaList.groupName,
+    method: layout,
+    pattern: fileNameTemplate,
+  };
+
+  // Paths the manifest has for other items. Files nobody recorded are only known to
+  // local storage up front, downloadMediaItem checks remote storage item by item
+  const recordedPaths = new Map();
+  const manifest = db.getManifestEntries(mediaList.groupId);
+  Object.keys(manifest).forEach((manifestKey) => {
+    recordedPaths.set(manifest[manifestKey].path, manifestKey);
+  });
+  const isTaken = (filePath, mediaItem) => {
+    const owner = recordedPaths.get(storage.url(toStorageKey(stagingDir, filePath)));
+    if (owner) {
+      return owner !== getManifestKey(mediaItem);
+    }
+    return Boolean(storage.localRoot) && fs.existsSync(filePath);
+  };
+
+  // Throws before anything is downloaded if the template would overwrite files
+  const filePaths = planFilePaths(organizeOptions, queue, isTaken);
+  const claimed = new Set(filePaths.filter(Boolean));
+
+  const workerCount = Math.max(1, Math.min(parallel, TOTAL_PHOTOS));
+  const stopped = () => Boolean(signal && signal.aborted);
+  let active = 0;
+
+  // What a failure is tried again with, later on
+  const retryOptions = {
+    outputDir: storage.location,
+    layout,
+    fileNameTemplate,
+    metadata,
+    thumbnails,
+  };
+  const failures = new Map(); // Ledger entries by index, for the retries and the report
+
+  logWithTime(
+    chalk.green(`Starting download of ${TOTAL_PHOTOS} media items, ${workerCount} at a time`)
+  );
+  emit({ type: 'groupStarted', total: TOTAL_PHOTOS, parallel: workerCount });
+
+  const bar = new ProgressBar(
+    `${getTimestamp()} Downloading [:bar] :current/:total (:percent) :active active, ETA :etas`,
+    {
+      complete: '=',
+      incomplete: '-',
+      width: 20,
+      total: TOTAL_PHOTOS,
+      stream: process.stderr,
+    }
+  );
+
+  // Download one item and keep count, a retry takes the place of the earlier failure
+  const attempt = async (index, retry) => {
+    const mediaItem = queue[index];
+    const itemStartTime = Date.now();
+    const report = (type, details) => emit({ type, index, url: mediaItem.url, ...details });
+
+    active++;
+    const { outcome, reason, statusCode, bytes } = await downloadMediaItem(mediaItem, {
+      filePath: filePaths[index],
+      storage,
+      key: filePaths[index] && toStorageKey(stagingDir, filePaths[index]),
+      groupId: mediaList.groupId,
+      groupName: mediaList.groupName,
+      displayName: mediaList.displayName,
+      token: mediaList.token,
+      label: `${index + 1}/${TOTAL_PHOTOS}`,
+      metadata,
+      thumbnails,
+      report,
+      claimed,
+    });
+    active--;
+
+    if (retry) {
+      counts.failed--;
+    } else {
+      bar.tick({ active });
+    }
+    counts[outcome]++;
+
+    const totals = { ...counts, total: TOTAL_PHOTOS };
+    if (outcome === 'failed') {
+      const entry = recordFailure(mediaItem, {
+        error: reason,
+        statusCode,
+        groupId: mediaList.groupId,
+        groupName: mediaList.groupName,
+        displayName: mediaList.displayName,
+        options: retryOptions,
+      });
+      failures.set(index, entry);
+      report('itemFailed', { reason, statusCode, attempts: entry.attempts, totals });
+    } else {
+      failures.delete(index);
+      db.removeMediaItem(mediaList.groupId, { url: mediaItem.url });
+      if (outcome === 'completed') {
+        report('itemCompleted', { bytes, elapsed: (Date.now() - itemStartTime) / 1000, totals });
       } else {
-        logWithTime(chalk.green('No media to download!'));
-        resolve();
+        report('itemSkipped', { reason, totals });
       }
-    } catch (error) {
-      logWithTime(chalk.red('Error in media downloader:'), error);
-      reject(error);
     }
-  });
-}
\ No newline at end of file
+
+    if (onProgress) {
+      onProgress({ ...counts, total: TOTAL_PHOTOS });
+    }
+  };
+
+  // Work through a list of indexes, workerCount at a time
+  const runPool = (indexes, retry = false) => {
+    let next = 0;
+    const worker = async () => {
+      while (next < indexes.length && !stopped()) {
+        await attempt(indexes[next++], retry);
+      }
+    };
+    return Promise.all(Array.from({ length: Math.min(workerCount, indexes.length) }, worker));
+  };
+
+  const downloadAll = async () => {
+    await runPool(queue.map((item, index) => index));
+
+    // Flaky responses tend to go away given a little time
+    for (let round = 1; round <= RETRY_ROUNDS && !stopped(); round++) {
+      const retryable = Array.from(failures.keys()).filter(
+        (index) => !PERMANENT_FAILURES.includes(failures.get(index).statusCode)
+      );
+      if (!retryable.length) {
+        break;
+      }
+
+      const delay = RETRY_DELAY * 2 ** (round - 1);
+      logWithTime(
+        chalk.yellow(
+          `Retrying ${retryable.length} failed downloads in ${delay / 1000}s (round ${round} of ${RETRY_ROUNDS})...`
+        )
+      );
+      emit({ type: 'retrying', count: retryable.length, round, delay });
+      await wait(delay, signal);
+      await runPool(retryable, true);
+    }
+  };
+
+  try {
+    await downloadAll();
+  } catch (error) {
+    logWithTime(chalk.red('Error in media downloader:'), error);
+    throw error;
+  } finally {
+    // Kept while there's something left to carry on with, uploaded files are gone from it already
+    if (!storage.localRoot && !failures.size && !stopped()) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+  }
+
+  emit({ type: 'groupFinished', totals: { ...counts, total: TOTAL_PHOTOS }, stopped: stopped() });
+
+  if (stopped()) {
+    const left = TOTAL_PHOTOS - counts.completed - counts.skipped - counts.failed;
+    logWithTime(chalk.yellow(`Stopped with ${left} of ${TOTAL_PHOTOS} media items left`));
+    return counts;
+  }
+
+  logWithTime(
+    chalk.green(
+      `All downloads completed! ${counts.completed} downloaded, ${counts.skipped} skipped, ${counts.failed} failed`
+    )
+  );
+
+  if (failures.size) {
+    logWithTime(chalk.red(`${failures.size} media items couldn't be downloaded:`));
+    failures.forEach((entry) => {
+      const tries = entry.attempts === 1 ? 'once' : `${entry.attempts} times`;
+      logWithTime(chalk.red(`  ${entry.item.url}: ${entry.error}, tried ${tries}`));
+    });
+    logWithTime(chalk.yellow('They are kept for later, run with --retry-failed to try them again.'));
+  }
+
+  return counts;
+}
@@ -1,7 +1,33 @@
 import chalk from 'chalk';
-import apiRequest, { handleResponse } from './request';
+import fetch from 'node-fetch';
+import apiRequest from './request';
 import db from './db';
 
+/**
+ * Every attachment kind GroupMe hands us that points at something downloadable.
+ *   - image:        photos uploaded through GroupMe, hosted on i.groupme.com
+ *   - linked_image: images pulled in from links, hosted wherever the link pointed
+ *   - video:        videos uploaded through GroupMe, hosted on v.groupme.com
+ *   - file:         shared documents, hosted on file.groupme.com behind the user's token
+ */
+export const MEDIA_TYPES = ['image', 'linked_image', 'video', 'file'];
+
+/**
+ * Direct messages don't have an id of their own, they're addressed by the other
+ * person's user id. Prefixing it keeps them apart from group ids everywhere else.
+ */
+export const DM_PREFIX = 'dm:';
+
+/**
+ * Whether a conversation id points at a direct message rather than a group
+ *
+ * @param  {String} conversationId
+ * @return {Boolean}
+ */
+export function isDirectMessageId(conversationId) {
+  return String(conversationId).startsWith(DM_PREFIX);
+}
+
 /**
  * Sanatizes a string for writing to disk. Removes illegal characters in Windows, Linux, and OSX.
  * Useful for file, folder, and user names.
@@ -15,17 +41,412 @@ function sanitizeString(string) {
 }
 
 /**
- * Shrink the data down to only what's necessary: Photo URL's and user names.
+ * Shared files don't come with a URL, only an id. They're served from the
+ * file service, which wants the same token as the API.
+ *
+ * @param  {String} groupId GroupMe Conversation ID
+ * @param  {String} fileId Attachment file_id
+ * @return {String} Download URL for the file
+ */
+function fileAttachmentUrl(groupId, fileId) {
+  return `https://file.groupme.com/v1/${groupId}/files/${fileId}`;
+}
+
+/**
+ * Ask the file service for the original names of shared files, so they can
+ * keep their extension on disk. Failing here isn't fatal, the download just
+ * falls back to a generic name.
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} groupId GroupMe Conversation ID
+ * @param  {Array} fileIds Attachment file_id's
+ * @return {Promise<Object>} Map of file_id to original file name
+ */
+async function fetchFileNames(token, groupId, fileIds) {
+  if (!fileIds.length) {
+    return {};
+  }
+
+  try {
+    const response = await fetch(`https://file.groupme.com/v1/${groupId}/fileData`, {
+      method: 'POST',
+      headers: {
+        'X-Access-Token': token,
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify({ file_ids: fileIds }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const files = await response.json();
+    return (files || []).reduce((names, file) => {
+      if (file.file_data && file.file_data.file_name) {
+        names[file.file_id] = file.file_data.file_name;
+      }
+      return names;
+    }, {});
+  } catch (error) {
+    console.log(chalk.yellow(`Couldn't look up shared file names: ${error.message}`));
+    return {};
+  }
+}
+
+/**
+ * Turn a single message attachment into a downloadable media item,
+ * or null if it isn't something we can download.
+ *
+ * @param  {Object} att Attachment from the API
+ * @param  {Object} msg Message the attachment belongs to
+ * @param  {String} groupId GroupMe Conversation ID
+ * @param  {Number} attachmentIndex Position of the attachment within the message
+ * @return {Object|null}
+ */
+export function attachmentToMediaItem(att, msg, groupId, attachmentIndex) {
+  // Direct messages carry their file service id, e.g. '<user id>+<user id>'
+  const fileConversationId = msg.conversation_id || groupId;
+  const item = {
+    type: att.type,
+    messageId: msg.id,
+    userId: msg.user_id || msg.sender_id,
+    user: msg.name ? sanitizeString(msg.name) : 'UnknownUser',
+    created: msg.created_at,
+    caption: msg.text || '',
+    likes: (msg.favorited_by || []).length,
+    attachmentIndex,
+  };
+
+  switch (att.type) {
+    case 'image':
+    case 'linked_image':
+      return att.url ? { ...item, url: att.url } : null;
+
+    case 'video':
+      return att.url ? { ...item, url: att.url, previewUrl: att.preview_url } : null;
+
+    case 'file':
+      return att.file_id
+        ? { ...item, url: fileAttachmentUrl(fileConversationId, att.file_id), fileId: att.file_id }
+        : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Message ids are ever-increasing numbers, too big for JS numbers to be trusted with.
+ *
+ * @param  {String} a Message id, may be empty
+ * @param  {String} b Message id, may be empty
+ * @return {String} Whichever id is newer
+ */
+export function newerMessageId(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+
+  const [x, y] = [String(a), String(b)];
+  if (x.length !== y.length) {
+    return x.length > y.length ? x : y;
+  }
+  return x > y ? x : y;
+}
+
+/**
+ * Fetch one page of a conversation's messages, newest first. Groups can also
+ * page forward from a message with `afterId`, direct messages can't.
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {Object} cursor
+ * @param  {String} cursor.beforeId Only messages older than this one
+ * @param  {String} cursor.afterId Only messages newer than this one, oldest first (groups only)
+ * @return {Promise<Array>} Raw messages, empty once there are no more
+ */
+export async function fetchMessagesPage(token, conversationId, { beforeId, afterId } = {}) {
+  let endpoint;
+
+  if (isDirectMessageId(conversationId)) {
+    endpoint = `direct_messages?other_user_id=${conversationId.slice(DM_PREFIX.length)}`;
+    if (beforeId) {
+      endpoint += `&before_id=${beforeId}`;
+    }
+  } else {
+    endpoint = `groups/${conversationId}/messages?limit=100`;
+    if (afterId) {
+      endpoint += `&after_id=${afterId}`;
+    } else if (beforeId) {
+      endpoint += `&before_id=${beforeId}`;
+    }
+  }
+
+  const response = await apiRequest(token, endpoint);
+
+  // Handle both 200 and 304 responses
+  if (response.status !== 200 && response.status !== 304) {
+    if (response.status === 401) {
+      throw new Error('Invalid or expired token');
+    }
+    throw new Error(`API request failed with status ${response.status}`);
+  }
+
+  // For 304, treat as if we got the same data again
+  if (response.status === 304) {
+    return [];
+  }
+
+  const data = await response.json();
+  const messages = isDirectMessageId(conversationId)
+    ? data.response.direct_messages
+    : data.response.messages;
+
+  return messages || [];
+}
+
+/**
+ * Fetch one page of a conversation's attachments, newest first, without building
+ * the whole list. Reads messages until it has `limit` items or has read `maxPages`
+ * pages of messages, so groups with few attachments don't keep the caller waiting.
  *
- * @param  {Array} media Array of gallery photo objects from the API
- * @return {Array} Array of objects containing photo URL and user's name
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {Object} options
+ * @param  {String} options.beforeId Cursor from the previous page, empty for the newest
+ * @param  {Array} options.types Attachment kinds to include, see MEDIA_TYPES
+ * @param  {Number} options.limit Items wanted, a page can go over to finish a message
+ * @param  {Number} options.maxPages Most pages of messages to read
+ * @return {Promise<Object>} { items, nextCursor }, nextCursor is null once there's nothing older
  */
-function mappedMediaObjects(mediaObjects) {
-  return mediaObjects.map((media) => ({
-    url: media.attachments[0].url,
-    user: media.name ? sanitizeString(media.name) : 'UnknownUser',
-    created: media.created_at,
-  }));
+export async function fetchMediaPage(
+  token,
+  conversationId,
+  { beforeId = null, types = MEDIA_TYPES, limit = 50, maxPages = 5 } = {}
+) {
+  const items = [];
+  let cursor = beforeId;
+
+  for (let page = 0; page < maxPages && items.length < limit; page++) {
+    const messages = await fetchMessagesPage(token, conversationId, { beforeId: cursor });
+
+    if (!messages.length) {
+      return { items, nextCursor: null };
+    }
+
+    messages.forEach(msg => {
+      (msg.attachments || []).forEach((att, index) => {
+        const item = types.includes(att.type)
+          ? attachmentToMediaItem(att, msg, conversationId, index)
+          : null;
+        if (item) {
+          items.push(item);
+        }
+      });
+    });
+
+    cursor = messages[messages.length - 1].id;
+
+    // Groups hand out full pages until they run out, direct message pages vary in size
+    if (messages.length < 100 && !isDirectMessageId(conversationId)) {
+      return { items, nextCursor: null };
+    }
+  }
+
+  return { items, nextCursor: cursor };
+}
+
+/**
+ * Look up what a conversation is called. Direct messages don't have a name of
+ * their own, they're named after the other person once we've seen them post.
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @return {Promise<String|null>} Name, or null when it has to come from the messages
+ */
+async function fetchConversationName(token, conversationId) {
+  if (isDirectMessageId(conversationId)) {
+    return null;
+  }
+
+  const groupResponse = await apiRequest(token, `groups/${conversationId}`);
+  if (groupResponse.status === 401) {
+    throw new Error('Invalid or expired token');
+  }
+  const groupData = await groupResponse.json();
+  return groupData.response.name;
+}
+
+/**
+ * Check and normalise what narrows down a download. Dates are yyyy-MM-dd, taken
+ * as whole days in local time, or anything else Date understands.
+ *
+ * @param  {Object} filters
+ * @param  {String} filters.since Only messages posted on or after this
+ * @param  {String} filters.until Only messages posted on or before this
+ * @param  {Array} filters.users Only messages by these user ids or names
+ * @param  {Array} filters.excludeUsers Never messages by these user ids or names
+ * @param  {Number} filters.minLikes Only messages liked at least this many times
+ * @return {Object} Filters with Dates, lower-cased names and a number of likes
+ * @throws {Error} When a filter makes no sense
+ */
+export function parseFilters({ since, until, users, excludeUsers, minLikes } = {}) {
+  const parseDate = (value, name, endOfDay) => {
+    if (!value) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value;
+    }
+
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+      : new Date(value);
+    if (isNaN(date)) {
+      throw new Error(`${name} must be a date like 2021-07-04, got "${value}"`);
+    }
+    return date;
+  };
+
+  const filters = {
+    since: parseDate(since, 'since', false),
+    until: parseDate(until, 'until', true),
+    users: (users || []).map(user => String(user).trim().toLowerCase()).filter(Boolean),
+    excludeUsers: (excludeUsers || []).map(user => String(user).trim().toLowerCase()).filter(Boolean),
+    minLikes: Number(minLikes || 0),
+  };
+
+  if (filters.since && filters.until && filters.since > filters.until) {
+    throw new Error('since must come before until');
+  }
+  if (!Number.isInteger(filters.minLikes) || filters.minLikes < 0) {
+    throw new Error(`minimum likes must be a whole number, got "${minLikes}"`);
+  }
+
+  return filters;
+}
+
+/**
+ * Whether a message's attachments are wanted
+ *
+ * @param  {Object} msg Message from the API
+ * @param  {Object} filters See parseFilters
+ * @return {Boolean}
+ */
+function messageMatchesFilters(msg, { since, until, users, excludeUsers, minLikes }) {
+  const created = new Date(msg.created_at * 1000);
+  const poster = [String(msg.user_id || msg.sender_id), (msg.name || '').toLowerCase()];
+
+  return (
+    (!since || created >= since) &&
+    (!until || created <= until) &&
+    (!users.length || users.some(user => poster.includes(user))) &&
+    !excludeUsers.some(user => poster.includes(user)) &&
+    (msg.favorited_by || []).length >= minLikes
+  );
+}
+
+/**
+ * The names a media list carries: one fit for a folder and one for people
+ *
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {String} name What the conversation is called, if known
+ * @return {Object} { groupName, displayName }
+ */
+function conversationNames(conversationId, name) {
+  const displayName = name || `Direct message ${conversationId.slice(DM_PREFIX.length)}`;
+  return {
+    groupName: sanitizeString(isDirectMessageId(conversationId) ? `DM-${displayName}` : displayName),
+    displayName,
+  };
+}
+
+/**
+ * Wrap media items picked elsewhere, e.g. in the GUI's preview, into a media
+ * list for mediaDownloader without walking the whole conversation
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {Array} media Media items, see attachmentToMediaItem
+ * @return {Promise<Object>} Media list, like mediaListBuilder's without lastMessageId
+ */
+export async function selectedMediaList(token, conversationId, media) {
+  let name = await fetchConversationName(token, conversationId);
+
+  if (!name && isDirectMessageId(conversationId)) {
+    const otherUserId = conversationId.slice(DM_PREFIX.length);
+    const messages = await fetchMessagesPage(token, conversationId);
+    const theirMessage = messages.find(msg => msg.sender_id === otherUserId);
+    name = theirMessage ? theirMessage.name : null;
+  }
+
+  // Shared files only tell us their name through a separate lookup
+  const files = media.filter(item => item.type === 'file' && item.fileId && !item.fileName);
+  if (files.length) {
+    // Direct messages keep their files under their own id, which is in the URL
+    const [, fileConversationId = conversationId] = /\/v1\/([^/]+)\/files\//.exec(files[0].url) || [];
+    const fileNames = await fetchFileNames(token, fileConversationId, files.map(item => item.fileId));
+    files.forEach(item => {
+      if (fileNames[item.fileId]) {
+        item.fileName = fileNames[item.fileId];
+      }
+    });
+  }
+
+  return { groupId: conversationId, ...conversationNames(conversationId, name), media, token };
+}
+
+/**
+ * Fetch a single message by id. GroupMe has no call for that, so it's the
+ * first message after the one before it (before the one after it, for direct
+ * messages, which can only page backwards).
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {String} messageId
+ * @return {Promise<Object|null>} Raw message, null if there's no such message
+ */
+async function fetchMessage(token, conversationId, messageId) {
+  const id = BigInt(messageId);
+  const messages = isDirectMessageId(conversationId)
+    ? await fetchMessagesPage(token, conversationId, { beforeId: String(id + BigInt(1)) })
+    : await fetchMessagesPage(token, conversationId, { afterId: String(id - BigInt(1)) });
+
+  return messages.find(msg => msg.id === String(messageId)) || null;
+}
+
+/**
+ * Look up attachments picked elsewhere, e.g. in the GUI's preview, by where they
+ * are in the conversation. Only GroupMe says what they are and where they're
+ * downloaded from, never whoever picked them.
+ *
+ * @param  {String} token GroupMe Developer Token ID
+ * @param  {String} conversationId Group ID, or 'dm:<other user id>' for direct messages
+ * @param  {Array} picks { messageId, attachmentIndex }
+ * @return {Promise<Array>} Media item for each pick, null for ones that aren't there or
+ *   can't be downloaded, see attachmentToMediaItem
+ */
+export async function fetchPickedMedia(token, conversationId, picks) {
+  const messages = new Map();
+
+  const media = [];
+  for (const { messageId, attachmentIndex } of picks) {
+    if (!messages.has(messageId)) {
+      messages.set(messageId, await fetchMessage(token, conversationId, messageId));
+    }
+
+    const msg = messages.get(messageId);
+    const att = msg && (msg.attachments || [])[attachmentIndex];
+    media.push(
+      att && MEDIA_TYPES.includes(att.type)
+        ? attachmentToMediaItem(att, msg, conversationId, attachmentIndex)
+        : null
+    );
+  }
+
+  return media;
 }
 
 /**
@@ -33,74 +454,127 @@ function mappedMediaObjects(mediaObjects) {
  * build up an array of downloadable media URL's
  *
  * @param  {String} token GroupMe Developer Token ID
- * @param  {Integer} groupId GroupMe Conversation ID
- * @return {Promise}
+ * @param  {Integer} groupId GroupMe Conversation ID, or 'dm:<other user id>' for direct messages
+ * @param  {Object} options
+ * @param  {Array} options.types Attachment kinds to include, see MEDIA_TYPES
+ * @param  {String} options.sinceId Only look at messages newer than this one, for incremental syncs
+ * @param  {Object} options.filters Dates, posters and likes to narrow the list down, see parseFilters
+ * @param  {Function} options.onMessages Called with every page of raw messages, e.g. for transcripts
+ * @param  {AbortSignal} options.signal Stops paging once aborted, leaving the list short
+ * @return {Promise} The media list. Its lastMessageId is where the next incremental sync
+ *   picks up: the newest message looked at, leaving out ones newer than filters.until.
+ *   Messages before it that the other filters left out aren't looked at again.
  */
-export async function mediaListBuilder(token, groupId) {
+export async function mediaListBuilder(
+  token,
+  groupId,
+  { types = MEDIA_TYPES, sinceId = null, filters: filterOptions, onMessages, signal } = {}
+) {
   if (!token || !groupId) {
     throw new Error('Token and groupId are required');
   }
 
+  const isDirectMessage = isDirectMessageId(groupId);
+  const filters = parseFilters(filterOptions);
+
   try {
     // Get group info first
-    const groupResponse = await apiRequest(token, `groups/${groupId}`);
-    const groupData = await groupResponse.json();
-    const groupName = groupData.response.name;
+    let groupName = await fetchConversationName(token, groupId);
 
     let allMedia = [];
     let beforeId = null;
     let hasMore = true;
     let downloadUrls = new Set();
+    // Starting point for incremental syncs. Groups page forward from the last run,
+    // direct messages page back as usual and stop once they reach it.
+    let afterId = isDirectMessage ? null : sinceId;
+    let lastMessageId = sinceId;
 
-    while (hasMore) {
-      const endpoint = beforeId 
-        ? `groups/${groupId}/messages?limit=100&before_id=${beforeId}`
-        : `groups/${groupId}/messages?limit=100`;
-
-      const response = await apiRequest(token, endpoint);
-      
-      // Handle both 200 and 304 responses
-      if (response.status !== 200 && response.status !== 304) {
-        if (response.status === 401) {
-          throw new Error('Invalid or expired token');
-        }
-        throw new Error(`API request failed with status ${response.status}`);
-      }
-
-      // For 304, treat as if we got the same data again
-      const data = response.status === 304 ? { response: { messages: [] } } : await response.json();
-      const messages = data.response.messages;
+    while (hasMore && !(signal && signal.aborted)) {
+      let messages = await fetchMessagesPage(token, groupId, afterId ? { afterId } : { beforeId });
 
       if (!messages || messages.length === 0) {
         hasMore = false;
         continue;
       }
 
+      if (isDirectMessage) {
+        if (sinceId) {
+          const newMessages = messages.filter(msg => msg.id !== sinceId && newerMessageId(msg.id, sinceId) === msg.id);
+          hasMore = newMessages.length === messages.length;
+          messages = newMessages;
+        }
+
+        if (!groupName) {
+          const otherUserId = groupId.slice(DM_PREFIX.length);
+          const theirMessage = messages.find(msg => msg.sender_id === otherUserId);
+          groupName = theirMessage ? theirMessage.name : null;
+        }
+      }
+
+      if (onMessages && messages.length) {
+        onMessages(messages);
+      }
+
+      const pageMedia = [];
+
       messages.forEach(msg => {
-        if (msg.attachments) {
+        if (msg.attachments && messageMatchesFilters(msg, filters)) {
           msg.attachments
-            .filter(att => att.type === 'image')
-            .forEach(att => {
-              if (!downloadUrls.has(att.url)) {
-                downloadUrls.add(att.url);
-                allMedia.push({
-                  url: att.url,
-                  messageId: msg.id,
-                  user: msg.name ? sanitizeString(msg.name) : 'UnknownUser',
-                  created: msg.created_at
-                });
+            .map((att, index) => types.includes(att.type) ? attachmentToMediaItem(att, msg, groupId, index) : null)
+            .forEach(item => {
+              if (item && !downloadUrls.has(item.url)) {
+                downloadUrls.add(item.url);
+                pageMedia.push(item);
               }
             });
         }
       });
 
-      beforeId = messages[messages.length - 1].id;
+      // Shared files only tell us their name through a separate lookup
+      const files = pageMedia.filter(item => item.type === 'file');
+      const fileConversationId = isDirectMessage && messages.length ? messages[0].conversation_id : groupId;
+      const fileNames = await fetchFileNames(token, fileConversationId, files.map(item => item.fileId));
+      files.forEach(item => {
+        if (fileNames[item.fileId]) {
+          item.fileName = fileNames[item.fileId];
+        }
+      });
+
+      allMedia.push(...pageMedia);
+
+      if (!messages.length) {
+        continue;
+      }
+
+      const newestOnPage = messages.map(msg => msg.id).reduce(newerMessageId, null);
+      // Messages past the until date aren't looked at, so a later sync shouldn't start after them
+      const considered = filters.until
+        ? messages.filter(msg => new Date(msg.created_at * 1000) <= filters.until)
+        : messages;
+      lastMessageId = considered.map(msg => msg.id).reduce(newerMessageId, lastMessageId);
+
+      if (afterId) {
+        // Paging forward, a short page means we've caught up
+        afterId = newestOnPage;
+        hasMore = messages.length === 100;
+      } else {
+        beforeId = messages[messages.length - 1].id;
+      }
+
+      // Pages run newest first, or oldest first when paging forward, so once a page
+      // reaches past the date range everything after it is outside it too
+      const lastOnPage = new Date(messages[messages.length - 1].created_at * 1000);
+      if (afterId ? filters.until && lastOnPage > filters.until : filters.since && lastOnPage < filters.since) {
+        hasMore = false;
+      }
     }
 
     return {
       groupId,
-      groupName: sanitizeString(groupName),
+      ...conversationNames(groupId, groupName),
       media: allMedia,
+      lastMessageId,
       token
     };
   } catch (error) {
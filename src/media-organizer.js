@@ -1,22 +1,123 @@
 // src/media-organizer.js
 import path from 'path';
-import fs from 'fs';
 import { format } from 'date-fns';
 
 /**
- * Determines the output path for a media file based on the organization method
- * 
- * @param {Object} options Configuration options
- * @param {String} options.baseDir Base output directory
- * @param {String} options.groupId Group ID
- * @param {String} options.method Organization method: 'flat', 'date', or 'user'
+ * Supported organization methods
+ *   - flat: every file straight in the group folder
+ *   - date: group folder / year / month
+ *   - user: group folder / poster
+ */
+export const LAYOUTS = ['flat', 'date', 'user'];
+
+/**
+ * When a media item was posted. GroupMe timestamps are in seconds,
+ * but anything that already looks like milliseconds is left alone.
+ *
  * @param {Object} mediaItem Media item with metadata
- * @returns {String} Path where the file should be saved
+ * @returns {Date} Posting date, or now if unknown
+ */
+export function getCreatedDate({ created }) {
+  if (!created) {
+    return new Date();
+  }
+
+  return new Date(created < 1e12 ? created * 1000 : created);
+}
+
+/**
+ * Tokens understood by filename templates, e.g. '[user]-[date:yyyyMMdd]-[hash].[ext]'
+ */
+export const FILENAME_TOKENS = {
+  user: 'Name of the poster',
+  userId: 'GroupMe id of the poster',
+  messageId: 'GroupMe id of the message',
+  group: 'Name of the group',
+  date: 'Posting date, [date:<format>] takes a date-fns format (default: yyyyMMdd)',
+  hash: 'GroupMe hash of the file',
+  ext: 'File extension, without the dot',
+  index: 'Position of the attachment within its message, starting at 1',
+  seq: 'Position in the download queue, [seq:<width>] pads it with zeros. Starts at 1 every run',
+};
+
+/**
+ * The template used when none is given
+ */
+export const DEFAULT_FILENAME_TEMPLATE = '[user]-[date:yyyyMMdd-HHmmss]-[hash].[ext]';
+
+// Characters no filesystem we care about allows in a file name
+const ILLEGAL_FILENAME_CHARS = /[<>:"/\\|?*]/;
+
+/**
+ * Parse a filename template into literal text and tokens. Throws on anything
+ * that can't become a valid file name, so bad templates fail before downloading.
+ *
+ * @param {String} template Filename template
+ * @returns {Array} Parts, either { text } or { token, arg }
  */
-export function getOrganizedFilePath({ baseDir, groupId, method = 'flat' }, mediaItem) {
-  const { user, created, url } = mediaItem;
-  const createdDate = created ? new Date(created) : new Date();
-  let outputDir = path.join(baseDir, groupId);
+export function parseFileNameTemplate(template) {
+  if (!template || !template.trim()) {
+    throw new Error('Filename template cannot be empty');
+  }
+
+  const parts = [];
+  const tokenPattern = /\[([a-zA-Z]+)(?::([^\]]*))?\]/g;
+  let lastIndex = 0;
+  let match;
+
+  const addText = (text) => {
+    if (ILLEGAL_FILENAME_CHARS.test(text) || /[[\]]/.test(text)) {
+      throw new Error(`Filename template "${template}" contains invalid characters: "${text}"`);
+    }
+    if (text) parts.push({ text });
+  };
+
+  while ((match = tokenPattern.exec(template))) {
+    const [, token, arg] = match;
+    addText(template.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    if (!FILENAME_TOKENS[token]) {
+      throw new Error(
+        `Unknown token [${token}] in filename template, choose from: ${Object.keys(FILENAME_TOKENS).join(', ')}`
+      );
+    }
+
+    if (token === 'date' && arg !== undefined) {
+      try {
+        format(new Date(), arg);
+      } catch (error) {
+        throw new Error(`Invalid date format "${arg}" in filename template: ${error.message}`);
+      }
+    }
+
+    if (token === 'seq' && arg !== undefined && !/^\d+$/.test(arg)) {
+      throw new Error(`[seq:${arg}] needs a number, e.g. [seq:4]`);
+    }
+
+    parts.push({ token, arg });
+  }
+
+  addText(template.slice(lastIndex));
+
+  if (!parts.some(part => part.token)) {
+    throw new Error(`Filename template "${template}" has no tokens, every file would get the same name`);
+  }
+
+  return parts;
+}
+
+/**
+ * Determines the output folder for a media file based on the organization method
+ *
+ * @param {Object} options Configuration options, see planFilePaths
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {String} Folder where the file should be saved
+ */
+function getOutputDir({ baseDir, groupName, method = 'flat' }, mediaItem) {
+  const { user } = mediaItem;
+  const createdDate = getCreatedDate(mediaItem);
+  let outputDir = path.join(baseDir, groupName);
   
   switch (method.toLowerCase()) {
     case 'date':
@@ -37,59 +138,163 @@ export function getOrganizedFilePath({ baseDir, groupId, method = 'flat' }, medi
       // All files in one directory (default behavior)
       break;
   }
-  
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
-  
-  // Generate filename
-  const fileName = generateFileName(mediaItem);
-  
-  return path.join(outputDir, fileName);
+
+  return outputDir;
+}
+
+/**
+ * The same path with a number added to the file name, e.g. photo-2.jpg for photo.jpg.
+ * Works on storage keys as well as paths.
+ *
+ * @param {String} filePath
+ * @param {Number} count
+ * @returns {String}
+ */
+export function numberFilePath(filePath, count) {
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - ext.length)}-${count}${ext}`;
+}
+
+/**
+ * Work out where every item of a media list goes before anything is downloaded.
+ * The same file listed twice is only downloaded once, but a template that sends
+ * two different files to the same path is rejected outright.
+ *
+ * A path that already holds another item's file, from an earlier run, is left
+ * alone and the item gets a numbered name next to it, see numberFilePath.
+ *
+ * @param {Object} options Configuration options
+ * @param {String} options.baseDir Base output directory
+ * @param {String} options.groupName Group folder name
+ * @param {String} options.method Organization method: 'flat', 'date', or 'user'
+ * @param {String} options.pattern Optional filename template
+ * @param {Array} mediaItems Media items with metadata
+ * @param {Function} isTaken (optional) Called with a path and an item, whether the path
+ *   already holds a file that isn't the item's
+ * @returns {Array} Path for each item, null for duplicates of an earlier item
+ */
+export function planFilePaths(options, mediaItems, isTaken = () => false) {
+  const claimed = new Map();
+  const planned = new Set();
+  const parsedPattern = parseFileNameTemplate(options.pattern || DEFAULT_FILENAME_TEMPLATE);
+
+  return mediaItems.map((mediaItem, index) => {
+    const fileName = generateFileName(mediaItem, parsedPattern, {
+      groupName: options.groupName,
+      sequence: index + 1,
+    });
+    const filePath = path.join(getOutputDir(options, mediaItem), fileName);
+    const hash = getHashFromMediaItem(mediaItem);
+    const owner = claimed.get(filePath);
+
+    if (owner) {
+      if (owner.hash === hash) {
+        return null;
+      }
+
+      throw new Error(
+        `Filename template "${options.pattern || DEFAULT_FILENAME_TEMPLATE}" gives two different files the same name (${fileName}): ` +
+          `${owner.url} and ${mediaItem.url}. Add [hash] or [messageId] to make names unique.`
+      );
+    }
+
+    claimed.set(filePath, { hash, url: mediaItem.url });
+
+    let freePath = filePath;
+    for (let count = 2; planned.has(freePath) || isTaken(freePath, mediaItem); count++) {
+      freePath = numberFilePath(filePath, count);
+    }
+    planned.add(freePath);
+    return freePath;
+  });
 }
 
 /**
  * Generate a filename based on customizable pattern or default pattern
  * 
  * @param {Object} mediaItem Media item with metadata
- * @param {String} pattern Optional filename pattern
+ * @param {String|Array} pattern Optional filename template, raw or already parsed
+ * @param {Object} context
+ * @param {String} context.groupName Group folder name
+ * @param {Number} context.sequence Position of the item in the download queue
  * @returns {String} Filename
  */
-function generateFileName(mediaItem, pattern) {
-  const { user, created, url } = mediaItem;
-  const createdDate = created ? new Date(created) : new Date();
-  
-  // Default pattern: username-date-hash.ext
-  if (!pattern) {
-    const username = sanitizeString(user || 'unknown');
-    const dateStr = format(createdDate, 'yyyyMMdd-HHmmss');
-    const hash = getHashFromUrl(url);
-    const ext = getExtensionFromUrl(url);
-    
-    return `${username}-${dateStr}-${hash}${ext}`;
-  }
-  
-  // Advanced: Custom pattern support
-  // Example: [user]-[date:yyyyMMdd]-[hash].[ext]
-  // TODO: Implement custom pattern parsing
-  return pattern;
+function generateFileName(mediaItem, pattern, { groupName, sequence = 1 } = {}) {
+  const parts = Array.isArray(pattern)
+    ? pattern
+    : parseFileNameTemplate(pattern || DEFAULT_FILENAME_TEMPLATE);
+  const createdDate = getCreatedDate(mediaItem);
+
+  const renderToken = ({ token, arg }) => {
+    switch (token) {
+      case 'user':
+        return sanitizeString(mediaItem.user || 'unknown');
+      case 'userId':
+        return sanitizeString(mediaItem.userId || 'unknown');
+      case 'messageId':
+        return sanitizeString(mediaItem.messageId || 'unknown');
+      case 'group':
+        return sanitizeString(groupName || 'unknown');
+      case 'date':
+        return sanitizeString(format(createdDate, arg || 'yyyyMMdd'));
+      case 'hash':
+        return getHashFromMediaItem(mediaItem);
+      case 'ext':
+        return getExtensionFromMediaItem(mediaItem).slice(1);
+      case 'index':
+        return String((mediaItem.attachmentIndex || 0) + 1);
+      case 'seq':
+        return String(sequence).padStart(Number(arg) || 0, '0');
+    }
+  };
+
+  return parts.map(part => (part.token ? renderToken(part) : part.text)).join('');
+}
+
+/**
+ * Whether a media item is a picture. The attachment type is the reliable
+ * answer, older queued items without one fall back to the image host.
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {Boolean}
+ */
+function isImageItem({ type, url = '' }) {
+  return type ? type === 'image' || type === 'linked_image' : url.includes('i.groupme.com');
 }
 
 /**
  * Extract a hash from GroupMe URL
+ *
+ * All GroupMe photos either are, or contain, a 32 digit hex hash:
+ *   - https://i.groupme.com/06a398bdf6bd9db15f47a27f72fcecea
+ *   - https://i.groupme.com/999x999.jpeg.06a398bdf6bd9db15f47a27f72fcecea
+ *   - https://i.groupme.com/999x999.jpeg.06a398bdf6bd9db15f47a27f72fcecea.large
+ * Videos are named by their last path segment, shared files by their file id.
  * 
- * @param {String} url GroupMe media URL
+ * @param {Object} mediaItem Media item with metadata
  * @returns {String} Hash portion of the URL
  */
-function getHashFromUrl(url) {
+export function getHashFromMediaItem(mediaItem) {
+  const { url = '', type, fileId } = mediaItem;
+
+  if (type === 'file' && fileId) {
+    return fileId;
+  }
+
+  if (isImageItem(mediaItem)) {
+    const hexHashMatches = url.match(/[0-9a-f]{32}/gi);
+    if (hexHashMatches) {
+      return hexHashMatches[hexHashMatches.length - 1];
+    }
+  }
+
   const imageHashMatch = /(.{32})\s*$/.exec(url);
   const videoHashMatch = /([^/]+$)/.exec(url);
   
-  if (imageHashMatch) {
-    return imageHashMatch[0];
-  } else if (videoHashMatch) {
+  if (!isImageItem(mediaItem) && videoHashMatch) {
     return videoHashMatch[0].split('.')[0];
+  } else if (imageHashMatch) {
+    return imageHashMatch[0].replace(/[^a-zA-Z0-9\-_]/g, '_');
   }
   
   return 'unknown';
@@ -98,15 +303,21 @@ function getHashFromUrl(url) {
 /**
  * Determine file extension from URL
  * 
- * @param {String} url GroupMe media URL
+ * @param {Object} mediaItem Media item with metadata
  * @returns {String} File extension with dot
  */
-function getExtensionFromUrl(url) {
+function getExtensionFromMediaItem(mediaItem) {
+  const { url = '', type, fileName } = mediaItem;
   const IMAGE_FILE_TYPES = /\.(png|jpeg|jpg|gif|bmp|webp)/;
   const VIDEO_FILE_TYPES = /\.(mp4|mov|wmv|mkv|webm)/;
+
+  // Shared files keep whatever extension they were uploaded with
+  if (type === 'file') {
+    const fileExt = fileName ? path.extname(fileName) : '';
+    return /^\.[a-zA-Z0-9]+$/.test(fileExt) ? fileExt : '.bin';
+  }
   
-  // Check if URL contains image hostname
-  const isImage = url.includes('i.groupme.com');
+  const isImage = isImageItem(mediaItem);
   
   // Try to extract extension from URL
   const fileTypes = isImage ? IMAGE_FILE_TYPES : VIDEO_FILE_TYPES;
@@ -121,7 +332,8 @@ function getExtensionFromUrl(url) {
 }
 
 /**
- * Sanitize string for filesystem use
+ * Sanitize string for filesystem use. Letters and digits of any script are kept,
+ * anything else (path separators, reserved characters, dots) becomes an underscore
  * 
  * @param {String} string Input string
  * @returns {String} Sanitized string
@@ -132,6 +344,5 @@ function sanitizeString(string) {
   return string
     .trim()
     .replace(/\s+/g, '-')
-    .replace(/([<>:"\/\\|?*])/g, '_')
-    .replace(/[^a-zA-Z0-9\-_]/g, '_');
+    .replace(/[^\p{L}\p{M}\p{N}\-_]/gu, '_');
 }
\ No newline at end of file
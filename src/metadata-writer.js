@@ -0,0 +1,644 @@
+import fs from 'fs';
+import path from 'path';
+import { format } from 'date-fns';
+
+/**
+ * GroupMe strips EXIF data from everything it hosts, so all a downloaded file
+ * knows about itself is its name. This puts back what we know from the message
+ * it was posted in: who, when, where and what they said about it.
+ *
+ *   - sidecar: a '<file>.json' next to every download
+ *   - embed:   EXIF and XMP for JPEGs, iTunes-style metadata atoms for MP4/MOV
+ *
+ * Both writers are plain JS on purpose, no exiftool or ffmpeg needed.
+ */
+export const METADATA_MODES = ['sidecar', 'embed'];
+
+// Keep captions well under the 64KB a JPEG segment can hold
+const MAX_CAPTION_BYTES = 8000;
+
+/**
+ * Collect what we know about a download
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @param {Object} group
+ * @param {String} group.groupId GroupMe Conversation ID
+ * @param {String} group.groupName Group name
+ * @param {Date} created When the item was posted
+ * @returns {Object}
+ */
+export function buildMetadata(mediaItem, { groupId, groupName }, created) {
+  return {
+    poster: mediaItem.user,
+    userId: mediaItem.userId,
+    messageId: mediaItem.messageId,
+    caption: mediaItem.caption || '',
+    likes: mediaItem.likes || 0,
+    group: groupName,
+    groupId,
+    created: created.toISOString(),
+    type: mediaItem.type,
+    url: mediaItem.url,
+  };
+}
+
+/**
+ * Write '<file>.json' next to a download
+ *
+ * @param {String} filePath Downloaded file
+ * @param {Object} metadata See buildMetadata
+ * @returns {String} Path of the sidecar
+ */
+export function writeSidecar(filePath, metadata) {
+  const sidecarPath = `${filePath}.json`;
+  fs.writeFileSync(sidecarPath, JSON.stringify(metadata, null, 2));
+  return sidecarPath;
+}
+
+/**
+ * Embed metadata into a download, if it's a format we know how to write
+ *
+ * @param {String} filePath Downloaded file
+ * @param {Object} metadata See buildMetadata
+ * @returns {Promise<Boolean>} Whether the file was changed
+ */
+export async function embedMetadata(filePath, metadata) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.jpg' || ext === '.jpeg') {
+    return writeJpegMetadata(filePath, metadata);
+  }
+
+  if (ext === '.mp4' || ext === '.mov' || ext === '.m4v') {
+    return writeMp4Metadata(filePath, metadata);
+  }
+
+  return false;
+}
+
+/**
+ * Cut a string down to a number of UTF-8 bytes without splitting a character
+ *
+ * @param {String} string
+ * @param {Number} maxBytes
+ * @returns {String}
+ */
+function truncateUtf8(string, maxBytes) {
+  let truncated = string || '';
+  while (Buffer.byteLength(truncated, 'utf8') > maxBytes) {
+    truncated = truncated.slice(0, -1);
+  }
+  return truncated;
+}
+
+/**
+ * Escape text for XML
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+function escapeXml(string) {
+  return String(string || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write a file next to the original and swap it in, so a crash never leaves half a file
+ *
+ * @param {String} filePath
+ * @param {Function} write Called with the temporary path
+ */
+async function replaceFile(filePath, write) {
+  const tempPath = `${filePath}.metadata-tmp`;
+  try {
+    await write(tempPath);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// JPEG: EXIF and XMP in APP1 segments
+// ---------------------------------------------------------------------------
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'binary');
+const TIFF_ASCII = 2;
+const TIFF_LONG = 4;
+
+/**
+ * A TIFF ASCII value: the string plus a terminating NUL
+ *
+ * @param {String} string
+ * @returns {Object} IFD entry value and count
+ */
+function asciiValue(string) {
+  const value = Buffer.concat([Buffer.from(string, 'utf8'), Buffer.alloc(1)]);
+  return { type: TIFF_ASCII, count: value.length, value };
+}
+
+/**
+ * A TIFF LONG value
+ *
+ * @param {Number} number
+ * @returns {Object} IFD entry value and count
+ */
+function longValue(number) {
+  const value = Buffer.alloc(4);
+  value.writeUInt32LE(number, 0);
+  return { type: TIFF_LONG, count: 1, value };
+}
+
+/**
+ * Encode an image file directory. Values over 4 bytes go in a data area
+ * straight after the directory, offsets are from the start of the TIFF header.
+ *
+ * @param {Array} entries { tag, type, count, value }, sorted by tag
+ * @param {Number} start Offset of this directory from the start of the TIFF header
+ * @returns {Buffer}
+ */
+function encodeIfd(entries, start) {
+  const tableSize = 2 + entries.length * 12 + 4;
+  const table = Buffer.alloc(tableSize);
+  const data = [];
+  let dataOffset = start + tableSize;
+
+  table.writeUInt16LE(entries.length, 0);
+
+  entries.forEach(({ tag, type, count, value }, index) => {
+    const position = 2 + index * 12;
+    table.writeUInt16LE(tag, position);
+    table.writeUInt16LE(type, position + 2);
+    table.writeUInt32LE(count, position + 4);
+
+    if (value.length <= 4) {
+      value.copy(table, position + 8);
+    } else {
+      // Values start on a word boundary
+      const padded = value.length % 2 ? Buffer.concat([value, Buffer.alloc(1)]) : value;
+      table.writeUInt32LE(dataOffset, position + 8);
+      data.push(padded);
+      dataOffset += padded.length;
+    }
+  });
+
+  // No next directory
+  table.writeUInt32LE(0, tableSize - 4);
+
+  return Buffer.concat([table, ...data]);
+}
+
+/**
+ * Build a little-endian TIFF structure with the caption, poster and capture date
+ *
+ * @param {Object} metadata See buildMetadata
+ * @returns {Buffer}
+ */
+function buildExif(metadata) {
+  const created = new Date(metadata.created);
+  const dateTime = format(created, 'yyyy:MM:dd HH:mm:ss');
+  const offset = format(created, 'xxx');
+
+  const exifEntries = [
+    { tag: 0x9003, ...asciiValue(dateTime) }, // DateTimeOriginal
+    { tag: 0x9004, ...asciiValue(dateTime) }, // DateTimeDigitized (CreateDate)
+    { tag: 0x9011, ...asciiValue(offset) }, // OffsetTimeOriginal
+  ];
+
+  const ifd0Entries = (exifPointer) =>
+    [
+      metadata.caption && {
+        tag: 0x010e,
+        ...asciiValue(truncateUtf8(metadata.caption, MAX_CAPTION_BYTES)),
+      }, // ImageDescription
+      { tag: 0x0132, ...asciiValue(dateTime) }, // DateTime
+      metadata.poster && { tag: 0x013b, ...asciiValue(metadata.poster) }, // Artist
+      { tag: 0x8769, ...longValue(exifPointer) }, // ExifIFD pointer
+    ].filter(Boolean);
+
+  const header = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00]);
+  // The pointer is inline, so its value doesn't change the directory's size
+  const ifd0Size = encodeIfd(ifd0Entries(0), 8).length;
+  const exifStart = 8 + ifd0Size;
+
+  return Buffer.concat([
+    header,
+    encodeIfd(ifd0Entries(exifStart), 8),
+    encodeIfd(exifEntries, exifStart),
+  ]);
+}
+
+/**
+ * Build an XMP packet, which unlike EXIF handles any language and is what
+ * photo managers like digiKam read captions, creators and keywords from
+ *
+ * @param {Object} metadata See buildMetadata
+ * @returns {Buffer}
+ */
+function buildXmp(metadata) {
+  const created = format(new Date(metadata.created), "yyyy-MM-dd'T'HH:mm:ssxxx");
+  const caption = escapeXml(truncateUtf8(metadata.caption, MAX_CAPTION_BYTES));
+
+  const xmp = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"
+    xmlns:exif="http://ns.adobe.com/exif/1.0/">
+   <dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.poster)}</rdf:li></rdf:Seq></dc:creator>
+   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${caption}</rdf:li></rdf:Alt></dc:description>
+   <dc:subject><rdf:Bag><rdf:li>${escapeXml(metadata.group)}</rdf:li></rdf:Bag></dc:subject>
+   <dc:source>${escapeXml(metadata.url)}</dc:source>
+   <photoshop:DateCreated>${created}</photoshop:DateCreated>
+   <xmp:CreateDate>${created}</xmp:CreateDate>
+   <exif:DateTimeOriginal>${created}</exif:DateTimeOriginal>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+  return Buffer.from(xmp, 'utf8');
+}
+
+/**
+ * Wrap a payload in an APP1 segment
+ *
+ * @param {Buffer} header Segment identifier, 'Exif' or the XMP namespace
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function app1Segment(header, payload) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(2 + header.length + payload.length, 0);
+  return Buffer.concat([Buffer.from([0xff, 0xe1]), length, header, payload]);
+}
+
+/**
+ * Add EXIF and XMP segments to a JPEG. Whatever the file already carries is
+ * left alone, e.g. linked images from outside GroupMe that kept their EXIF.
+ *
+ * @param {String} filePath
+ * @param {Object} metadata See buildMetadata
+ * @returns {Promise<Boolean>} Whether the file was changed
+ */
+async function writeJpegMetadata(filePath, metadata) {
+  const jpeg = fs.readFileSync(filePath);
+
+  // Not a JPEG, whatever its name says
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+    return false;
+  }
+
+  let position = 2;
+  let insertAt = 2;
+  let hasExif = false;
+  let hasXmp = false;
+
+  // Walk the APPn segments at the start of the file
+  while (
+    position + 4 <= jpeg.length &&
+    jpeg[position] === 0xff &&
+    jpeg[position + 1] >= 0xe0 &&
+    jpeg[position + 1] <= 0xef
+  ) {
+    const marker = jpeg[position + 1];
+    const length = jpeg.readUInt16BE(position + 2);
+    const body = jpeg.slice(position + 4, position + 2 + length);
+
+    if (marker === 0xe1 && body.slice(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+      hasExif = true;
+    }
+    if (marker === 0xe1 && body.slice(0, XMP_HEADER.length).equals(XMP_HEADER)) {
+      hasXmp = true;
+    }
+
+    // EXIF has to come straight after JFIF, if there is one
+    if (marker === 0xe0 && position === 2) {
+      insertAt = position + 2 + length;
+    }
+
+    position += 2 + length;
+  }
+
+  const segments = [];
+  if (!hasExif) segments.push(app1Segment(EXIF_HEADER, buildExif(metadata)));
+  if (!hasXmp) segments.push(app1Segment(XMP_HEADER, buildXmp(metadata)));
+
+  if (!segments.length) {
+    return false;
+  }
+
+  await replaceFile(filePath, (tempPath) =>
+    fs.writeFileSync(
+      tempPath,
+      Buffer.concat([jpeg.slice(0, insertAt), ...segments, jpeg.slice(insertAt)])
+    )
+  );
+
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// MP4/MOV: moov/udta/meta/ilst atoms and the movie header's creation time
+// ---------------------------------------------------------------------------
+
+// Seconds between 1904-01-01, where QuickTime time starts, and 1970-01-01
+const MAC_EPOCH_OFFSET = 2082844800;
+
+// Boxes on the way from moov down to the chunk offset tables
+const CHUNK_OFFSET_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+/**
+ * Read the box headers in a buffer
+ *
+ * @param {Buffer} buffer
+ * @returns {Array} { type, start, headerSize, size }
+ */
+function parseBoxes(buffer) {
+  const boxes = [];
+  let position = 0;
+
+  while (position + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = buffer.length - position;
+    }
+
+    if (size < headerSize || position + size > buffer.length) {
+      throw new Error(`Malformed ${type} box`);
+    }
+
+    boxes.push({ type, start: position, headerSize, size });
+    position += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read the top-level box headers of a file without reading the file
+ *
+ * @param {Number} fd Open file descriptor
+ * @param {Number} fileSize
+ * @returns {Array} { type, start, headerSize, size }
+ */
+function parseTopLevelBoxes(fd, fileSize) {
+  const boxes = [];
+  const header = Buffer.alloc(16);
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    fs.readSync(fd, header, 0, 16, position);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+
+    if (size < headerSize || position + size > fileSize) {
+      throw new Error(`Malformed ${type} box`);
+    }
+
+    boxes.push({ type, start: position, headerSize, size });
+    position += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Build a box
+ *
+ * @param {String} type Four character code
+ * @param {...Buffer} payloads
+ * @returns {Buffer}
+ */
+function box(type, ...payloads) {
+  const header = Buffer.alloc(8);
+  const size = 8 + payloads.reduce((total, payload) => total + payload.length, 0);
+  header.writeUInt32BE(size, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, ...payloads]);
+}
+
+/**
+ * An iTunes-style metadata item holding UTF-8 text
+ *
+ * @param {String} type Four character code, e.g. '©day'
+ * @param {String} text
+ * @returns {Buffer}
+ */
+function textItem(type, text) {
+  // Well-known type 1 is UTF-8, followed by an empty locale
+  const dataHeader = Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]);
+  return box(type, box('data', dataHeader, Buffer.from(text, 'utf8')));
+}
+
+/**
+ * Build a 'meta' box with the metadata in an 'ilst'
+ *
+ * @param {Object} metadata See buildMetadata
+ * @returns {Buffer}
+ */
+function buildMetaBox(metadata) {
+  const created = format(new Date(metadata.created), "yyyy-MM-dd'T'HH:mm:ssxxx");
+  const versionAndFlags = Buffer.alloc(4);
+
+  // Handler: pre_defined, 'mdir', 'appl', reserved, empty name
+  const hdlr = box(
+    'hdlr',
+    versionAndFlags,
+    Buffer.alloc(4),
+    Buffer.from('mdirappl', 'latin1'),
+    Buffer.alloc(9)
+  );
+
+  const items = [
+    textItem('©day', created),
+    metadata.poster && textItem('©ART', metadata.poster),
+    metadata.group && textItem('©alb', metadata.group),
+    metadata.caption && textItem('©cmt', truncateUtf8(metadata.caption, MAX_CAPTION_BYTES)),
+    metadata.caption && textItem('desc', truncateUtf8(metadata.caption, MAX_CAPTION_BYTES)),
+  ].filter(Boolean);
+
+  return box('meta', versionAndFlags, hdlr, box('ilst', ...items));
+}
+
+/**
+ * Set the creation and modification time in a movie header, in place
+ *
+ * @param {Buffer} mvhd The whole mvhd box
+ * @param {Date} created
+ */
+function setMovieHeaderTimes(mvhd, created) {
+  const seconds = Math.floor(created.getTime() / 1000) + MAC_EPOCH_OFFSET;
+  const version = mvhd[8];
+
+  if (version === 1) {
+    mvhd.writeBigUInt64BE(BigInt(seconds), 12);
+    mvhd.writeBigUInt64BE(BigInt(seconds), 20);
+  } else {
+    mvhd.writeUInt32BE(seconds, 12);
+    mvhd.writeUInt32BE(seconds, 16);
+  }
+}
+
+/**
+ * Chunk offsets are absolute file positions. When a bigger moov pushes the
+ * media data further into the file, every offset past it has to move too.
+ *
+ * @param {Buffer} container A box's children, changed in place
+ * @param {Number} depth How far down CHUNK_OFFSET_PATH we are
+ * @param {Number} after Only offsets at or past this position move
+ * @param {Number} delta How far they move
+ */
+function shiftChunkOffsets(container, depth, after, delta) {
+  parseBoxes(container).forEach(({ type, start, headerSize, size }) => {
+    const body = container.slice(start + headerSize, start + size);
+
+    if (depth < CHUNK_OFFSET_PATH.length && type === CHUNK_OFFSET_PATH[depth]) {
+      shiftChunkOffsets(body, depth + 1, after, delta);
+      return;
+    }
+
+    if (depth === CHUNK_OFFSET_PATH.length && (type === 'stco' || type === 'co64')) {
+      const count = body.readUInt32BE(4);
+      for (let i = 0; i < count; i++) {
+        if (type === 'stco') {
+          const offset = body.readUInt32BE(8 + i * 4);
+          if (offset >= after) {
+            if (offset + delta > 0xffffffff) {
+              throw new Error('Chunk offsets would overflow');
+            }
+            body.writeUInt32BE(offset + delta, 8 + i * 4);
+          }
+        } else {
+          const offset = body.readBigUInt64BE(8 + i * 8);
+          if (offset >= BigInt(after)) {
+            body.writeBigUInt64BE(offset + BigInt(delta), 8 + i * 8);
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Copy a byte range of one file into a write stream
+ *
+ * @param {String} source
+ * @param {Object} target Write stream
+ * @param {Number} start
+ * @param {Number} end Exclusive
+ * @returns {Promise}
+ */
+function copyRange(source, target, start, end) {
+  if (end <= start) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(source, { start, end: end - 1 })
+      .on('error', reject)
+      .on('end', resolve)
+      .pipe(target, { end: false });
+  });
+}
+
+/**
+ * Rewrite the moov box of an MP4/MOV with a metadata 'udta' and the capture
+ * date in the movie header. Only the moov is held in memory, the media data
+ * is streamed across.
+ *
+ * @param {String} filePath
+ * @param {Object} metadata See buildMetadata
+ * @returns {Promise<Boolean>} Whether the file was changed
+ */
+async function writeMp4Metadata(filePath, metadata) {
+  const fileSize = fs.statSync(filePath).size;
+  const fd = fs.openSync(filePath, 'r');
+  let moov;
+  let moovBuffer;
+
+  try {
+    moov = parseTopLevelBoxes(fd, fileSize).find(({ type }) => type === 'moov');
+    if (!moov) {
+      return false;
+    }
+    moovBuffer = Buffer.alloc(moov.size);
+    fs.readSync(fd, moovBuffer, 0, moov.size, moov.start);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const children = moovBuffer.slice(moov.headerSize);
+  const keptChildren = [];
+  let udtaChildren = [];
+
+  parseBoxes(children).forEach(({ type, start, headerSize, size }) => {
+    const child = Buffer.from(children.slice(start, start + size));
+
+    if (type === 'mvhd') {
+      setMovieHeaderTimes(child, new Date(metadata.created));
+    }
+
+    if (type === 'udta') {
+      // Keep whatever else the camera put in there, e.g. location, but replace our metadata
+      const udtaBody = child.slice(headerSize);
+      udtaChildren = parseBoxes(udtaBody)
+        .filter((udtaChild) => udtaChild.type !== 'meta')
+        .map((udtaChild) => udtaBody.slice(udtaChild.start, udtaChild.start + udtaChild.size));
+      return;
+    }
+
+    keptChildren.push({ type, buffer: child });
+  });
+
+  const udta = box('udta', ...udtaChildren, buildMetaBox(metadata));
+  const newSize =
+    8 + keptChildren.reduce((total, child) => total + child.buffer.length, 0) + udta.length;
+  const delta = newSize - moov.size;
+  const moovEnd = moov.start + moov.size;
+
+  if (delta !== 0) {
+    keptChildren
+      .filter(({ type }) => type === 'trak')
+      .forEach(({ buffer }) => shiftChunkOffsets(buffer.slice(8), 1, moovEnd, delta));
+  }
+
+  const newMoov = box('moov', ...keptChildren.map(({ buffer }) => buffer), udta);
+
+  await replaceFile(filePath, async (tempPath) => {
+    const out = fs.createWriteStream(tempPath);
+    const closed = new Promise((resolve, reject) => out.on('close', resolve).on('error', reject));
+
+    await copyRange(filePath, out, 0, moov.start);
+    out.write(newMoov);
+    await copyRange(filePath, out, moovEnd, fileSize);
+    out.end();
+
+    await closed;
+  });
+
+  return true;
+}
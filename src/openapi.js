@@ -0,0 +1,424 @@
+import { MEDIA_TYPES } from './media-list-builder';
+import { TRANSCRIPT_FORMATS } from './transcript-exporter';
+import { METADATA_MODES } from './metadata-writer';
+import { LAYOUTS } from './media-organizer';
+import { JOB_STATUSES } from './jobs';
+
+/**
+ * OpenAPI 3 description of the REST API in ./api, served as /api/v1/openapi.json.
+ * Lists of allowed values come from the modules that define them, so they
+ * can't drift apart.
+ */
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({ description, ...json(ref('Error')) });
+
+const jobResponse = (description) => ({
+  description,
+  ...json({ type: 'object', properties: { job: ref('Job') }, required: ['job'] }),
+});
+
+const groupIdsProperty = {
+  type: 'array',
+  items: { type: 'string' },
+  minItems: 1,
+  description: 'Group ids, or dm:<user id> for a direct message',
+};
+
+const jobSettingsProperties = {
+  priority: { type: 'integer', default: 0, description: 'Higher runs sooner' },
+  profile: {
+    type: 'string',
+    description: "Download with this profile's token, defaults to the active profile",
+  },
+};
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const groupIdParameter = {
+  name: 'groupId',
+  in: 'path',
+  required: true,
+  schema: { type: 'string' },
+};
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'GroupMe Gallery Downloader API',
+    version: '1.0.0',
+    description:
+      'Download photos and videos from GroupMe groups, follow the downloads and browse what has ' +
+      'been downloaded. Downloads run as jobs, one at a time, highest priority first. Send an API ' +
+      'key, made with `npm run serve -- --create-key <name>`, as `Authorization: Bearer <key>`.',
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ apiKey: [] }],
+  paths: {
+    '/groups': {
+      get: {
+        summary: 'List groups and direct messages',
+        parameters: [
+          {
+            name: 'profile',
+            in: 'query',
+            schema: { type: 'string' },
+            description: "List with this profile's token, defaults to the active profile",
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Every group and direct message the token can see',
+            ...json({
+              type: 'object',
+              properties: { groups: { type: 'array', items: ref('Group') } },
+            }),
+          },
+          401: errorResponse('No token, or GroupMe turned it down'),
+          502: errorResponse("GroupMe couldn't be reached"),
+        },
+      },
+    },
+    '/jobs': {
+      get: {
+        summary: 'List jobs',
+        description:
+          'Running and queued jobs first, in the order they run, then the rest newest first',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: JOB_STATUSES } },
+        ],
+        responses: {
+          200: {
+            description: 'Jobs',
+            ...json({ type: 'object', properties: { jobs: { type: 'array', items: ref('Job') } } }),
+          },
+          400: errorResponse('Unknown status'),
+        },
+      },
+      post: {
+        summary: 'Download groups',
+        requestBody: {
+          required: true,
+          ...json({
+            allOf: [
+              {
+                type: 'object',
+                properties: { groupIds: groupIdsProperty, ...jobSettingsProperties },
+                required: ['groupIds'],
+              },
+              ref('DownloadOptions'),
+            ],
+          }),
+        },
+        responses: {
+          201: jobResponse('The job, queued'),
+          400: errorResponse('Invalid groups or options'),
+          401: errorResponse('No token for the profile'),
+        },
+      },
+    },
+    '/jobs/{id}': {
+      get: {
+        summary: 'Get a job',
+        description: 'Poll this to follow a download',
+        parameters: [idParameter],
+        responses: { 200: jobResponse('The job'), 404: errorResponse('No such job') },
+      },
+    },
+    '/jobs/{id}/{action}': {
+      post: {
+        summary: 'Pause, resume, cancel or reprioritise a job',
+        description:
+          'Stopping a running job lets the files in flight finish. A resumed job skips what was downloaded.',
+        parameters: [
+          idParameter,
+          {
+            name: 'action',
+            in: 'path',
+            required: true,
+            schema: { type: 'string', enum: ['pause', 'resume', 'cancel', 'priority'] },
+          },
+        ],
+        requestBody: {
+          ...json({
+            type: 'object',
+            properties: { priority: { type: 'integer', description: 'Required for priority' } },
+          }),
+        },
+        responses: {
+          200: jobResponse('The job'),
+          400: errorResponse('Missing priority'),
+          404: errorResponse('No such job or action'),
+          409: errorResponse("The job can't do that now, e.g. resuming a completed job"),
+        },
+      },
+    },
+    '/sync': {
+      post: {
+        summary: 'Fetch what is new in groups downloaded before',
+        description:
+          'Only messages newer than the last completed download are looked at. Each group is ' +
+          'downloaded with the options it was last downloaded with, unless given here.',
+        requestBody: {
+          ...json({
+            allOf: [
+              {
+                type: 'object',
+                properties: {
+                  groupIds: {
+                    ...groupIdsProperty,
+                    description: 'Defaults to every group downloaded before',
+                  },
+                  ...jobSettingsProperties,
+                },
+              },
+              ref('DownloadOptions'),
+            ],
+          }),
+        },
+        responses: {
+          201: jobResponse('The job, queued'),
+          400: errorResponse('Nothing to sync, or invalid options'),
+          401: errorResponse('No token for the profile'),
+        },
+      },
+    },
+    '/failed': {
+      get: {
+        summary: 'List downloads that failed',
+        responses: {
+          200: {
+            description: 'Files that are waiting for another try',
+            ...json({
+              type: 'object',
+              properties: { items: { type: 'array', items: ref('FailedItem') } },
+            }),
+          },
+        },
+      },
+    },
+    '/failed/retry': {
+      post: {
+        summary: 'Try failed downloads again',
+        requestBody: {
+          ...json({
+            type: 'object',
+            properties: {
+              groupIds: { ...groupIdsProperty, description: 'Defaults to every group' },
+              ...jobSettingsProperties,
+            },
+          }),
+        },
+        responses: {
+          201: jobResponse('The job, queued'),
+          400: errorResponse('Nothing failed'),
+          401: errorResponse('No token for the profile'),
+        },
+      },
+    },
+    '/media': {
+      get: {
+        summary: 'List groups with downloaded files',
+        description: "Also groups that no longer exist, or that the token can't see",
+        responses: {
+          200: {
+            description: 'Groups',
+            ...json({
+              type: 'object',
+              properties: { groups: { type: 'array', items: ref('ArchivedGroup') } },
+            }),
+          },
+        },
+      },
+    },
+    '/media/{groupId}': {
+      get: {
+        summary: "List a group's downloaded files",
+        parameters: [
+          groupIdParameter,
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'user', in: 'query', schema: { type: 'string' }, description: 'Poster user id' },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+          { name: 'type', in: 'query', schema: { type: 'string', enum: MEDIA_TYPES } },
+        ],
+        responses: {
+          200: {
+            description: 'A page of files, newest first, and everyone who posted any',
+            ...json({
+              type: 'object',
+              properties: {
+                items: { type: 'array', items: ref('MediaItem') },
+                total: { type: 'integer' },
+                page: { type: 'integer' },
+                pageSize: { type: 'integer' },
+                users: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, name: { type: 'string' } },
+                  },
+                },
+              },
+            }),
+          },
+          400: errorResponse('Invalid filter'),
+        },
+      },
+    },
+    '/media/{groupId}/items/{id}/file': {
+      get: {
+        summary: 'Download a file',
+        parameters: [groupIdParameter, { ...idParameter, description: 'Item id from the listing' }],
+        responses: {
+          200: { description: 'The file, with range requests for local storage' },
+          404: { description: 'No such file' },
+        },
+      },
+    },
+    '/media/{groupId}/items/{id}/thumbnail': {
+      get: {
+        summary: 'A WebP thumbnail of a file, made the first time it is asked for',
+        parameters: [groupIdParameter, { ...idParameter, description: 'Item id from the listing' }],
+        responses: {
+          200: { description: 'The thumbnail' },
+          404: { description: 'No such file, or it has no thumbnail' },
+        },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This description',
+        security: [],
+        responses: { 200: { description: 'OpenAPI 3 document' } },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'http', scheme: 'bearer', description: 'API key, gmdl_...' },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: { error: { type: 'string' } },
+        required: ['error'],
+      },
+      Group: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          kind: { type: 'string', enum: ['group', 'dm'] },
+          lastSyncedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the last complete download finished, null if never',
+          },
+        },
+      },
+      DownloadOptions: {
+        type: 'object',
+        properties: {
+          types: { type: 'array', items: { type: 'string', enum: MEDIA_TYPES } },
+          filters: {
+            type: 'object',
+            properties: {
+              since: { type: 'string', format: 'date' },
+              until: { type: 'string', format: 'date' },
+              users: { type: 'array', items: { type: 'string' }, description: 'User ids or names' },
+              excludeUsers: { type: 'array', items: { type: 'string' } },
+              minLikes: { type: 'integer', minimum: 0 },
+            },
+          },
+          layout: { type: 'string', enum: LAYOUTS, default: LAYOUTS[0] },
+          fileNameTemplate: { type: 'string', example: '[user]-[date:yyyyMMdd]-[hash].[ext]' },
+          exportFormats: { type: 'array', items: { type: 'string', enum: TRANSCRIPT_FORMATS } },
+          metadata: { type: 'array', items: { type: 'string', enum: METADATA_MODES } },
+          outputDir: {
+            type: 'string',
+            description:
+              'Folder in the media folder. Other folders and s3:// or webdav(s):// storage URLs need a server started with --allow-any-output',
+          },
+          parallel: { type: 'integer', minimum: 1, maximum: 10 },
+          thumbnails: { type: 'boolean', description: "Make the GUI gallery's thumbnails too" },
+        },
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          status: { type: 'string', enum: JOB_STATUSES },
+          priority: { type: 'integer' },
+          profile: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          options: ref('DownloadOptions'),
+          error: { type: 'string', nullable: true, description: 'Why a failed job stopped' },
+          groups: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                groupId: { type: 'string' },
+                name: { type: 'string', nullable: true },
+                status: { type: 'string', enum: ['pending', 'running', 'done', 'failed'] },
+                total: { type: 'integer', nullable: true, description: 'Files found, once listed' },
+                completed: { type: 'integer' },
+                skipped: { type: 'integer', description: 'Already downloaded' },
+                failed: { type: 'integer' },
+                error: { type: 'string', nullable: true },
+                retry: { type: 'boolean', description: 'Retrying failed downloads' },
+                sync: { type: 'boolean', description: 'Fetching what is new' },
+                items: {
+                  type: 'integer',
+                  description: 'Picked files, when only those are downloaded',
+                },
+              },
+            },
+          },
+        },
+      },
+      FailedItem: {
+        type: 'object',
+        properties: {
+          groupId: { type: 'string' },
+          groupName: { type: 'string' },
+          type: { type: 'string', enum: MEDIA_TYPES },
+          url: { type: 'string' },
+          error: { type: 'string' },
+          statusCode: { type: 'integer', nullable: true },
+          attempts: { type: 'integer' },
+          lastFailedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ArchivedGroup: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          count: { type: 'integer', description: 'Downloaded files' },
+        },
+      },
+      MediaItem: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'File name' },
+          type: { type: 'string', enum: MEDIA_TYPES },
+          user: { type: 'string' },
+          userId: { type: 'string' },
+          created: { type: 'string', format: 'date-time', nullable: true },
+          caption: { type: 'string' },
+          likes: { type: 'integer' },
+          size: { type: 'integer' },
+        },
+      },
+    },
+  },
+};
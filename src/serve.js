@@ -0,0 +1,59 @@
+// src/serve.js
+import express from 'express';
+import chalk from 'chalk';
+import { EXIT_CODES } from './cli';
+import { API_VERSION, createApiRouter } from './api';
+import { listApiKeys, requireApiKey } from './api-keys';
+import { startJobQueue } from './jobs';
+import { LOOPBACK_HOST } from './gui-session';
+
+/**
+ * Headless mode: the REST API in ./api without the GUI, for servers, cron
+ * jobs and home automation. Every request needs an API key, see ./api-keys.
+ * Started by `groupme-dl serve`, see ./groupme-dl.
+ */
+
+export const DEFAULT_PORT = 3457;
+
+/**
+ * Start the API server
+ *
+ * @param {Object} options
+ * @param {Number} options.port
+ * @param {String} options.host
+ * @param {Boolean} options.anyOutputDir Let API keys save anywhere, not just in the media folder
+ * @returns {Object} The http server
+ */
+export function startServer({
+  port = DEFAULT_PORT,
+  host = LOOPBACK_HOST,
+  anyOutputDir = false,
+} = {}) {
+  const app = express();
+  app.disable('x-powered-by');
+  app.use(`/api/${API_VERSION}`, createApiRouter({ authenticate: requireApiKey, anyOutputDir }));
+  app.use((req, res) => {
+    res.status(404).json({ error: `The API is at /api/${API_VERSION}` });
+  });
+
+  // Jobs left over from the last run carry on
+  startJobQueue();
+
+  const server = app.listen(port, host, () => {
+    console.log(`API server running at http://${host}:${port}/api/${API_VERSION}`);
+    if (!listApiKeys().length) {
+      console.log(
+        chalk.yellow(
+          'No API keys yet, every request will be refused. Make one with: groupme-dl serve --create-key <name>'
+        )
+      );
+    }
+  });
+
+  server.on('error', (error) => {
+    console.error(chalk.red(`Couldn't start the API server: ${error.message}`));
+    process.exit(EXIT_CODES.FAILURE);
+  });
+
+  return server;
+}
@@ -0,0 +1,82 @@
+import { createLocalStorage } from './local';
+import { createS3Storage } from './s3';
+import { createWebDavStorage } from './webdav';
+
+/**
+ * Where downloads end up. Every driver stores files under '/'-separated keys,
+ * e.g. 'Family/2021/07-July/Ann-20210704-120000-<hash>.jpeg', and provides:
+ *
+ *   location          Where the files go, safe to show and remember (no credentials)
+ *   localRoot         Folder on this machine for local storage, null otherwise
+ *   url(key)          Where a single file is, for logs and the manifest
+ *   exists(key)       Resolves { size, modified } or null
+ *   write(key, stream, { size })  Streams a file in, size is required by S3 and WebDAV
+ *   read(key)         Resolves a readable stream
+ *   list(prefix)      Resolves every file under a prefix as { key, size, modified }
+ *   remove(key)       Deletes a file, a missing one is not an error
+ *
+ * Storage is picked by what --output looks like:
+ *
+ *   ./archive                      local folder
+ *   s3://bucket/prefix             S3 or S3-compatible (MinIO, Wasabi, a NAS ...)
+ *   webdav://host/path             WebDAV over http, webdavs:// for https
+ */
+
+const REMOTE_SCHEMES = {
+  's3:': createS3Storage,
+  'webdav:': createWebDavStorage,
+  'webdavs:': createWebDavStorage,
+};
+
+// Drivers are reused, so e.g. WebDAV doesn't create the same folder over and over
+const openStorages = new Map();
+
+/**
+ * Whether an output location is a URL for remote storage rather than a folder
+ *
+ * @param {String} spec Output folder or storage URL
+ * @returns {Boolean}
+ */
+export function isRemoteStorage(spec) {
+  const match = /^([a-z0-9]+:)\/\//i.exec(spec || '');
+  return !!match && !!REMOTE_SCHEMES[match[1].toLowerCase()];
+}
+
+/**
+ * Open the storage an output location points at. Throws for URLs that can't work,
+ * so bad options are caught before anything is downloaded.
+ *
+ * @param {String} spec Output folder or storage URL
+ * @returns {Object} Storage driver
+ */
+export function createStorage(spec) {
+  if (openStorages.has(spec)) {
+    return openStorages.get(spec);
+  }
+
+  let storage;
+  if (isRemoteStorage(spec)) {
+    const url = new URL(spec);
+    storage = REMOTE_SCHEMES[url.protocol.toLowerCase()](url);
+  } else {
+    storage = createLocalStorage(spec);
+  }
+
+  openStorages.set(spec, storage);
+  return storage;
+}
+
+/**
+ * Turn a path inside a folder into a storage key
+ *
+ * @param {String} baseDir
+ * @param {String} filePath
+ * @returns {String}
+ */
+export function toStorageKey(baseDir, filePath) {
+  return filePath
+    .slice(baseDir.length)
+    .split(/[\\/]+/)
+    .filter(Boolean)
+    .join('/');
+}
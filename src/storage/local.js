@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import stream from 'stream';
+import util from 'util';
+
+const pipeline = util.promisify(stream.pipeline);
+
+/**
+ * Files in a folder on this machine
+ *
+ * @param {String} rootDir Folder the keys are relative to
+ * @returns {Object} Storage driver, see ./index
+ */
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  const filePath = (key) => {
+    const resolved = path.resolve(root, ...key.split('/'));
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`${key} is outside ${root}`);
+    }
+    return resolved;
+  };
+
+  const stat = async (key) => {
+    try {
+      return await fs.promises.stat(filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const walk = async (dir, prefix) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...(await walk(path.join(dir, entry.name), key)));
+      } else if (entry.isFile()) {
+        const { size, mtime } = await fs.promises.stat(path.join(dir, entry.name));
+        files.push({ key, size, modified: mtime });
+      }
+    }
+    return files;
+  };
+
+  return {
+    location: root,
+    localRoot: root,
+
+    url: (key) => filePath(key),
+
+    async exists(key) {
+      const stats = await stat(key);
+      return stats && stats.isFile() ? { size: stats.size, modified: stats.mtime } : null;
+    },
+
+    async write(key, source) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(source, fs.createWriteStream(target));
+    },
+
+    async read(key) {
+      if (!(await stat(key))) {
+        throw new Error(`${key} not found in ${root}`);
+      }
+      return fs.createReadStream(filePath(key));
+    },
+
+    async list(prefix = '') {
+      // Only whole folder names, 'Family/' shouldn't match 'Family Photos/'
+      const folder = prefix.split('/').slice(0, -1).join('/');
+      const files = await walk(folder ? filePath(folder) : root, folder);
+      return files.filter(({ key }) => key.startsWith(prefix));
+    },
+
+    async remove(key) {
+      if (await stat(key)) {
+        await fs.promises.unlink(filePath(key));
+      }
+    },
+  };
+}
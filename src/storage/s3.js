@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { decodeXml, encodeKey, encodeRfc3986, requestError } from './util';
+
+/**
+ * S3 and anything that speaks its API: MinIO, Wasabi, Backblaze B2, Synology ...
+ *
+ *   s3://bucket/prefix?endpoint=http://nas.local:9000&region=us-east-1
+ *
+ * Credentials come from AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, or from the
+ * URL (s3://key:secret@bucket/prefix), but are never remembered. Without an endpoint
+ * (or S3_ENDPOINT) it's AWS itself. Requests are signed with Signature Version 4.
+ *
+ * @param {URL} url
+ * @returns {Object} Storage driver, see ./index
+ */
+export function createS3Storage(url) {
+  const bucket = url.hostname;
+  const prefix = decodeURIComponent(url.pathname).replace(/^\/+|\/+$/g, '');
+  const region = url.searchParams.get('region') || process.env.AWS_REGION || 'us-east-1';
+  const endpoint = url.searchParams.get('endpoint') || process.env.S3_ENDPOINT;
+  const accessKeyId = decodeURIComponent(url.username) || process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = decodeURIComponent(url.password) || process.env.AWS_SECRET_ACCESS_KEY;
+
+  if (!bucket) {
+    throw new Error(`No bucket in ${url.protocol}//${url.host}${url.pathname}`);
+  }
+
+  // Custom endpoints get path-style addressing, which every S3 clone supports
+  const bucketUrl = endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${encodeRfc3986(bucket)}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  const query = [...url.searchParams].filter(([name]) => name === 'endpoint' || name === 'region');
+  const location = `s3://${bucket}${prefix ? `/${prefix}` : ''}${
+    query.length ? `?${query.map(([name, value]) => `${name}=${value}`).join('&')}` : ''
+  }`;
+
+  const fullKey = (key) => (prefix ? `${prefix}/${key}` : key);
+
+  const request = (method, key, { search = {}, headers = {}, body } = {}) => {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error(
+        `No credentials for ${location}, set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY`
+      );
+    }
+
+    // Built by hand, URLSearchParams would encode spaces as '+' and break the signature
+    const canonicalQuery = Object.keys(search)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(search[name])}`)
+      .join('&');
+    const target = new URL(
+      `${bucketUrl}/${key === null ? '' : encodeKey(fullKey(key))}${canonicalQuery ? `?${canonicalQuery}` : ''}`
+    );
+
+    const signed = signRequest(method, target, headers, { accessKeyId, secretAccessKey, region });
+    return fetch(target.toString(), { method, headers: signed, body });
+  };
+
+  return {
+    location,
+    localRoot: null,
+
+    url: (key) => `s3://${bucket}/${fullKey(key)}`,
+
+    async exists(key) {
+      const response = await request('HEAD', key);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await requestError(`HEAD ${key}`, response);
+
+      return {
+        size: Number(response.headers.get('content-length')),
+        modified: new Date(response.headers.get('last-modified')),
+      };
+    },
+
+    async write(key, source, { size }) {
+      const response = await request('PUT', key, {
+        headers: { 'content-length': String(size) },
+        body: source,
+      });
+      if (!response.ok) throw await requestError(`PUT ${key}`, response);
+    },
+
+    async read(key) {
+      const response = await request('GET', key);
+      if (!response.ok) throw await requestError(`GET ${key}`, response);
+      return response.body;
+    },
+
+    async list(listPrefix = '') {
+      const files = [];
+      let continuationToken = null;
+
+      do {
+        const search = { 'list-type': '2', prefix: fullKey(listPrefix) };
+        if (continuationToken) search['continuation-token'] = continuationToken;
+
+        const response = await request('GET', null, { search });
+        if (!response.ok) throw await requestError(`LIST ${listPrefix}`, response);
+        const xml = await response.text();
+
+        (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach((contents) => {
+          const field = (name) =>
+            (new RegExp(`<${name}>([^<]*)</${name}>`).exec(contents) || [])[1];
+          const key = decodeXml(field('Key'));
+          files.push({
+            key: prefix ? key.slice(prefix.length + 1) : key,
+            size: Number(field('Size')),
+            modified: new Date(field('LastModified')),
+          });
+        });
+
+        const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+        continuationToken =
+          /<IsTruncated>true<\/IsTruncated>/.test(xml) && next ? decodeXml(next[1]) : null;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    async remove(key) {
+      const response = await request('DELETE', key);
+      if (!response.ok && response.status !== 404) {
+        throw await requestError(`DELETE ${key}`, response);
+      }
+    },
+  };
+}
+
+/**
+ * Sign a request with AWS Signature Version 4. The payload isn't hashed, so
+ * uploads can be streamed straight from disk.
+ *
+ * @param {String} method HTTP method
+ * @param {URL} target Full request URL, with its query already sorted and encoded
+ * @param {Object} headers Headers to send, lowercase names
+ * @param {Object} credentials
+ * @param {String} credentials.accessKeyId
+ * @param {String} credentials.secretAccessKey
+ * @param {String} credentials.region
+ * @returns {Object} Headers including the signature
+ */
+function signRequest(method, target, headers, { accessKeyId, secretAccessKey, region }) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const allHeaders = {
+    ...headers,
+    host: target.host,
+    'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+    'x-amz-date': amzDate,
+  };
+  const headerNames = Object.keys(allHeaders).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    target.search.slice(1),
+    headerNames.map((name) => `${name}:${String(allHeaders[name]).trim()}\n`).join(''),
+    signedHeaders,
+    'UNSIGNED-PAYLOAD',
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    hmac,
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Bits shared by the drivers that talk HTTP
+ */
+
+/**
+ * Percent-encode a key for a URL path, keeping the '/' between folders.
+ * Stricter than encodeURIComponent, as S3 signatures need RFC 3986.
+ *
+ * @param {String} key
+ * @returns {String}
+ */
+export function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+/**
+ * encodeURIComponent, plus the characters it leaves alone but RFC 3986 reserves
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+export function encodeRfc3986(string) {
+  return encodeURIComponent(string).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Undo XML escaping in a text node
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+export function decodeXml(string) {
+  return string
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Build an error for a failed request, with the server's explanation if it gave one
+ *
+ * @param {String} what What we were doing, e.g. 'PUT Family/a.jpeg'
+ * @param {Object} response node-fetch response
+ * @returns {Promise<Error>}
+ */
+export async function requestError(what, response) {
+  const body = await response.text().catch(() => '');
+  const message = /<(?:\w+:)?Message>([^<]*)</.exec(body);
+  return new Error(
+    `${what} failed: ${response.status} ${response.statusText}${message ? ` (${decodeXml(message[1])})` : ''}`
+  );
+}
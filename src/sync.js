@@ -0,0 +1,349 @@
+import chalk from 'chalk';
+import { mediaListBuilder, selectedMediaList } from './media-list-builder';
+import { mediaDownloader, MEDIA_DIR } from './media-downloader';
+import { getFailures, verifyDownloads } from './manifest';
+import { exportTranscript, TRANSCRIPT_FORMATS } from './transcript-exporter';
+import { createStorage } from './storage';
+import db from './db';
+
+/**
+ * Options that are remembered per group and reused by later syncs
+ */
+const REMEMBERED_OPTIONS = ['types', 'filters', 'layout', 'fileNameTemplate', 'outputDir', 'exportFormats', 'metadata', 'thumbnails'];
+
+/**
+ * Drop options that weren't given, so they don't hide remembered ones
+ *
+ * @param {Object} options
+ * @returns {Object}
+ */
+function definedOptions(options) {
+  return Object.keys(options).reduce((defined, key) => {
+    if (options[key] !== null && options[key] !== undefined) {
+      defined[key] = options[key];
+    }
+    return defined;
+  }, {});
+}
+
+/**
+ * Download a group's media and remember how far we got. With `incremental`,
+ * only messages newer than the last completed run are looked at.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {Object} options
+ * @param {Array} options.types Attachment kinds to include, see MEDIA_TYPES
+ * @param {Object} options.filters Dates, posters and likes to narrow the download down, see parseFilters
+ * @param {String} options.layout Folder layout, see LAYOUTS
+ * @param {String} options.fileNameTemplate Filename template, see FILENAME_TOKENS
+ * @param {String} options.outputDir Where group folders go, a folder or storage URL, see ./storage
+ * @param {Number} options.parallel How many items to download at once
+ * @param {Array} options.exportFormats Also write the chat transcript in these formats, see TRANSCRIPT_FORMATS
+ * @param {Array} options.metadata Sidecars and/or embedded tags for each file, see METADATA_MODES
+ * @param {Boolean} options.thumbnails Make thumbnails for the GUI's gallery as files arrive
+ * @param {AbortSignal} options.signal Stops the download part way, the group isn't marked as synced
+ * @param {Function} options.onProgress Called with the download counts after every item
+ * @param {Function} options.onEvent Called with every progress event, see mediaDownloader
+ * @param {Boolean} options.incremental Only fetch messages newer than the last run
+ * @param {Array} options.only Only download items with these message ids or URLs. Most of the
+ *   group is left out, so the group isn't marked as synced
+ * @param {Function} options.onMediaList Called with the media list before downloading starts
+ * @returns {Promise<Object>} Download counts
+ */
+export async function downloadGroup(token, groupId, options = {}) {
+  const { incremental = false, only, filters, onMediaList, exportFormats, ...downloadOptions } = options;
+  const { signal } = downloadOptions;
+  const syncState = db.getSyncState(groupId);
+  const sinceId = incremental && syncState ? syncState.lastMessageId : null;
+
+  if (sinceId) {
+    console.log(chalk.cyan(`Looking for messages newer than the last sync (${syncState.syncedAt})...`));
+  }
+
+  const messages = [];
+  const mediaList = await mediaListBuilder(token, groupId, {
+    types: options.types,
+    sinceId,
+    filters,
+    signal,
+    onMessages: exportFormats && exportFormats.length ? (page) => messages.push(...page) : null,
+  });
+
+  if (only) {
+    const wanted = new Set(only);
+    mediaList.media = mediaList.media.filter((item) => wanted.has(item.messageId) || wanted.has(item.url));
+    console.log(chalk.cyan(`Found ${mediaList.media.length} of the listed items in ${mediaList.displayName}`));
+  }
+
+  // Stopped while listing, the list is short
+  if (signal && signal.aborted) {
+    return { completed: 0, skipped: 0, failed: 0 };
+  }
+
+  if (onMediaList) {
+    onMediaList(mediaList);
+  }
+  const counts = await mediaDownloader(mediaList, downloadOptions);
+
+  // A stopped run is finished off by the next one, transcript and all
+  if (signal && signal.aborted) {
+    return counts;
+  }
+
+  // After the download, so the transcript can link to the files it just saved
+  if (exportFormats && exportFormats.length) {
+    await exportTranscript({
+      groupId,
+      groupName: mediaList.groupName,
+      displayName: mediaList.displayName,
+      messages,
+      storage: createStorage(downloadOptions.outputDir || MEDIA_DIR),
+      formats: exportFormats,
+    });
+  }
+
+  if (only) {
+    return counts;
+  }
+
+  // Only a finished run moves the high-water mark, so an interrupted one is picked up again
+  const usedOptions = { ...downloadOptions, exportFormats, filters };
+  db.setSyncState(groupId, {
+    lastMessageId: mediaList.lastMessageId,
+    name: mediaList.groupName,
+    options: REMEMBERED_OPTIONS.reduce((remembered, key) => {
+      const value = usedOptions[key];
+      if (value) {
+        // A relative output folder would mean something else when run from elsewhere,
+        // and credentials in a storage URL shouldn't end up in the database
+        remembered[key] = key === 'outputDir' ? createStorage(value).location : value;
+      }
+      return remembered;
+    }, {}),
+  });
+
+  return counts;
+}
+
+/**
+ * Download several groups one after the other. A group that fails doesn't
+ * stop the rest, unless it's the token that's the problem.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {Array} groups { id, name }, the name is only for the log
+ * @param {Object} options Download options, see downloadGroup
+ * @returns {Promise<Object>} The download counts of each group that worked, files that failed
+ *   included, and why the others didn't
+ */
+export async function downloadGroups(token, groups, options = {}) {
+  const result = { downloaded: [], failed: [] };
+
+  for (let i = 0; i < groups.length; i++) {
+    const { id, name } = groups[i];
+    const label = name || id;
+    console.log(chalk.blue(`\nStarting download for ${label} (${i + 1}/${groups.length})...`));
+
+    try {
+      const counts = await downloadGroup(token, id, definedOptions(options));
+      result.downloaded.push({ groupId: id, ...counts });
+    } catch (error) {
+      // A bad token will fail every group the same way, no point carrying on
+      if (error.message.includes('Invalid or expired token')) {
+        throw error;
+      }
+      console.error(chalk.red(`Failed to download ${label}: ${error.message}`));
+      result.failed.push({ groupId: id, name: label, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Write a group's chat transcript without downloading its media. It goes
+ * where a download with the same output folder would put it.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {Object} options
+ * @param {Array} options.formats See TRANSCRIPT_FORMATS
+ * @param {String} options.outputDir Where group folders go, a folder or storage URL, see ./storage
+ * @returns {Promise<Array>} Where the written files are
+ */
+export async function exportGroup(token, groupId, { formats = TRANSCRIPT_FORMATS, outputDir } = {}) {
+  const messages = [];
+  const mediaList = await mediaListBuilder(token, groupId, {
+    types: [],
+    onMessages: (page) => messages.push(...page),
+  });
+
+  return exportTranscript({
+    groupId,
+    groupName: mediaList.groupName,
+    displayName: mediaList.displayName,
+    messages,
+    storage: createStorage(outputDir || MEDIA_DIR),
+    formats,
+  });
+}
+
+/**
+ * Download media items picked by hand, e.g. in the GUI's preview. Like a
+ * download with `only`, this leaves the group's sync state alone.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {Array} media Media items, see attachmentToMediaItem
+ * @param {Object} options Download options, see downloadGroup
+ * @param {Function} options.onMediaList Called with the media list before downloading starts
+ * @returns {Promise<Object>} Download counts
+ */
+export async function downloadItems(token, groupId, media, { onMediaList, ...downloadOptions } = {}) {
+  const mediaList = await selectedMediaList(token, groupId, media);
+  if (onMediaList) {
+    onMediaList(mediaList);
+  }
+  return mediaDownloader(mediaList, downloadOptions);
+}
+
+/**
+ * Bring every group that's been downloaded before up to date. Options given
+ * here win over the ones remembered from each group's last run.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {Object} overrides Download options, see downloadGroup
+ * @returns {Promise<Object>} The download counts of each group that synced, files that failed
+ *   included, and the ids of the groups that failed
+ */
+export async function syncGroups(token, overrides = {}) {
+  const syncStates = db.getSyncStates() || {};
+  const groupIds = Object.keys(syncStates);
+  const result = { synced: [], failed: [] };
+
+  if (!groupIds.length) {
+    console.log(chalk.yellow('Nothing to sync yet, download a group first.'));
+    return result;
+  }
+
+  for (let i = 0; i < groupIds.length; i++) {
+    const groupId = groupIds[i];
+    const { name, options = {} } = syncStates[groupId];
+    console.log(chalk.blue(`\nSyncing ${name || groupId} (${i + 1}/${groupIds.length})...`));
+
+    try {
+      const counts = await downloadGroup(token, groupId, {
+        ...options,
+        ...definedOptions(overrides),
+        incremental: true,
+      });
+      result.synced.push({ groupId, ...counts });
+    } catch (error) {
+      // A bad token will fail every group the same way, no point carrying on
+      if (error.message.includes('Invalid or expired token')) {
+        throw error;
+      }
+      console.error(chalk.red(`Failed to sync ${name || groupId}: ${error.message}`));
+      result.failed.push(groupId);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Re-hash downloaded files and download again whatever is missing or corrupt,
+ * using each group's remembered options unless overridden. Files that couldn't
+ * be read are only counted.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {Object} options
+ * @param {Array} options.groupIds Only verify these groups, defaults to all
+ * @param {Object} options.overrides Download options, see downloadGroup
+ * @returns {Promise<Object>} Verification counts and the download counts of the repairs
+ */
+export async function verifyGroups(token, { groupIds, overrides = {} } = {}) {
+  const { ok, missing, corrupt, unreadable } = await verifyDownloads({ groupIds });
+  const broken = [...missing, ...corrupt];
+  const repaired = { completed: 0, skipped: 0, failed: 0 };
+
+  const byGroup = broken.reduce((groups, entry) => {
+    groups[entry.groupId] = groups[entry.groupId] || [];
+    groups[entry.groupId].push(entry);
+    return groups;
+  }, {});
+
+  for (const groupId of Object.keys(byGroup)) {
+    const entries = byGroup[groupId];
+    const { name, options = {} } = db.getSyncState(groupId) || {};
+    const groupName = entries[0].groupName || name || groupId;
+    console.log(chalk.blue(`\nDownloading ${entries.length} files again for ${groupName}...`));
+
+    const counts = await mediaDownloader(
+      { groupId, groupName, media: entries.map((entry) => entry.item), token },
+      { ...options, ...definedOptions(overrides) }
+    );
+
+    Object.keys(repaired).forEach((key) => {
+      repaired[key] += counts[key];
+    });
+  }
+
+  return {
+    ok,
+    missing: missing.length,
+    corrupt: corrupt.length,
+    unreadable: unreadable.length,
+    repaired,
+  };
+}
+
+/**
+ * Try failed downloads again, with the options they failed with unless
+ * overridden. Ones that fail again stay in the ledger with one more attempt.
+ *
+ * @param {String} token GroupMe Developer Token ID
+ * @param {Object} options
+ * @param {Array} options.groupIds Only retry these groups, defaults to all
+ * @param {Object} options.overrides Download options, see downloadGroup
+ * @param {Function} options.onMediaList Called with each batch's media list before downloading it
+ * @returns {Promise<Object>} Download counts
+ */
+export async function retryFailed(token, { groupIds, overrides = {}, onMediaList } = {}) {
+  const failures = getFailures({ groupIds });
+  const retried = { completed: 0, skipped: 0, failed: 0 };
+
+  if (!failures.length) {
+    console.log(chalk.green('No failed downloads to retry.'));
+    return retried;
+  }
+
+  // Items from one group can have failed under different options, e.g. another output folder
+  const batches = failures.reduce((grouped, entry) => {
+    const batchKey = JSON.stringify([entry.groupId, entry.options]);
+    grouped[batchKey] = grouped[batchKey] || [];
+    grouped[batchKey].push(entry);
+    return grouped;
+  }, {});
+
+  for (const entries of Object.values(batches)) {
+    const { groupId, groupName, displayName, options = {} } = entries[0];
+    const downloadOptions = { ...options, ...definedOptions(overrides) };
+    if (downloadOptions.signal && downloadOptions.signal.aborted) {
+      break;
+    }
+
+    const mediaList = { groupId, groupName, displayName, media: entries.map((entry) => entry.item), token };
+    console.log(chalk.blue(`\nRetrying ${entries.length} failed downloads from ${displayName || groupName}...`));
+    if (onMediaList) {
+      onMediaList(mediaList);
+    }
+
+    const counts = await mediaDownloader(mediaList, downloadOptions);
+    Object.keys(retried).forEach((key) => {
+      retried[key] += counts[key];
+    });
+  }
+
+  return retried;
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import fetch from 'node-fetch';
+
+/**
+ * Small WebP thumbnails for the GUI's gallery, kept in a hidden folder next to
+ * the media they belong to: 'Family/2021/a.jpeg' gets 'Family/2021/.thumbnails/a.jpeg.webp'.
+ * They're made while downloading when asked for, and otherwise the first time
+ * the gallery shows a file. Videos use the preview image GroupMe made for them.
+ */
+export const THUMBNAIL_DIR = '.thumbnails';
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 70;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|tiff?)$/i;
+
+let sharp;
+
+/**
+ * sharp is loaded on first use, so a failed native install only costs thumbnails
+ *
+ * @returns {Function|null}
+ */
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      console.warn(`Thumbnails are unavailable, sharp couldn't be loaded: ${error.message}`);
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Where the thumbnail of a file goes, works for storage keys and local paths alike
+ *
+ * @param {String} key Storage key or path of the original
+ * @returns {String}
+ */
+export function thumbnailKey(key) {
+  const separator = key.includes('/') ? '/' : path.sep;
+  const index = key.lastIndexOf(separator);
+  const dir = index === -1 ? '' : key.slice(0, index + 1);
+  return `${dir}${THUMBNAIL_DIR}${separator}${key.slice(index + 1)}.webp`;
+}
+
+/**
+ * Scale an image down to a thumbnail
+ *
+ * @param {Buffer|String} input Image data or path
+ * @returns {Promise<Buffer|null>} WebP data, null if sharp isn't available
+ */
+async function renderThumbnail(input) {
+  const resize = loadSharp();
+  if (!resize) {
+    return null;
+  }
+
+  return resize(input, { failOn: 'none' })
+    .rotate() // Respect EXIF orientation
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: THUMBNAIL_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Fetch GroupMe's preview image of a video
+ *
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {Promise<Buffer|null>}
+ */
+async function fetchPreview(mediaItem) {
+  if (!mediaItem || !mediaItem.previewUrl) {
+    return null;
+  }
+
+  const response = await fetch(mediaItem.previewUrl);
+  return response.ok ? response.buffer() : null;
+}
+
+/**
+ * What a thumbnail can be made from: the file itself if it's an image, its preview if it's a video
+ *
+ * @param {String} name File name or key
+ * @param {Object} mediaItem Media item with metadata
+ * @param {Function} readOriginal Resolves the original file's data or path
+ * @returns {Promise<Buffer|String|null>}
+ */
+async function thumbnailSource(name, mediaItem, readOriginal) {
+  if (mediaItem && mediaItem.type === 'video') {
+    return fetchPreview(mediaItem);
+  }
+
+  return IMAGE_EXTENSIONS.test(name) ? readOriginal() : null;
+}
+
+/**
+ * Make the thumbnail of a file that was just downloaded
+ *
+ * @param {String} filePath Downloaded file
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {Promise<String|null>} Path of the thumbnail, null if there can't be one
+ */
+export async function createThumbnailFile(filePath, mediaItem) {
+  const source = await thumbnailSource(filePath, mediaItem, () => filePath);
+  const thumbnail = source && (await renderThumbnail(source));
+
+  if (!thumbnail) {
+    return null;
+  }
+
+  const thumbnailPath = thumbnailKey(filePath);
+  fs.mkdirSync(path.dirname(thumbnailPath), { recursive: true });
+  fs.writeFileSync(thumbnailPath, thumbnail);
+  return thumbnailPath;
+}
+
+/**
+ * Get the thumbnail of a stored file, making it if it's not there yet
+ *
+ * @param {Object} storage Storage driver, see ./storage
+ * @param {String} key Key of the original
+ * @param {Object} mediaItem Media item with metadata
+ * @returns {Promise<Buffer|null>} WebP data, null if there can't be one
+ */
+export async function getThumbnail(storage, key, mediaItem) {
+  const cachedKey = thumbnailKey(key);
+
+  if (await storage.exists(cachedKey)) {
+    return readAll(await storage.read(cachedKey));
+  }
+
+  const source = await thumbnailSource(key, mediaItem, async () =>
+    readAll(await storage.read(key))
+  );
+  const thumbnail = source && (await renderThumbnail(source));
+
+  if (thumbnail) {
+    await storage.write(cachedKey, Readable.from([thumbnail]), { size: thumbnail.length });
+  }
+
+  return thumbnail;
+}
+
+/**
+ * Read a stream into memory
+ *
+ * @param {Object} stream Readable stream
+ * @returns {Promise<Buffer>}
+ */
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream
+      .on('data', (chunk) => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+/**
+ * Tokens encrypted with AES-256-GCM and kept in the database. The key is
+ * derived from a passphrase when there is one, otherwise it's a random key
+ * in a file only this user can read. That doesn't stop someone who can read
+ * the whole data folder, but keeps the token out of the database file itself,
+ * its backups and anything it gets copied into.
+ *
+ * A token saved under a passphrase can't be read without it: reading one
+ * throws an error with the code TOKEN_LOCKED.
+ *
+ * @param {Object} options
+ * @param {String} options.keyFile Where the random key goes
+ * @param {Function} options.passphrase Returns the passphrase, or null when there's none
+ * @returns {Object} Token store, see ./index
+ */
+export function createFileStore({ keyFile, passphrase }) {
+  // Deriving a key is slow on purpose, don't do it for every request
+  const derivedKeys = new Map();
+
+  const deriveKey = (secret, salt) => {
+    const cacheKey = `${salt}:${secret}`;
+    if (!derivedKeys.has(cacheKey)) {
+      derivedKeys.set(cacheKey, crypto.scryptSync(secret, Buffer.from(salt, 'base64'), KEY_LENGTH));
+    }
+    return derivedKeys.get(cacheKey);
+  };
+
+  const readKeyFile = () => {
+    try {
+      return fs.readFileSync(keyFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(KEY_LENGTH);
+    try {
+      fs.writeFileSync(keyFile, key, { mode: 0o600, flag: 'wx' });
+      return key;
+    } catch (error) {
+      // Made by another process in the meantime
+      if (error.code === 'EEXIST') return fs.readFileSync(keyFile);
+      throw error;
+    }
+  };
+
+  const keyFor = (profile, { kdf, salt }) => {
+    if (kdf === 'keyfile') {
+      return readKeyFile();
+    }
+
+    const secret = passphrase();
+    if (!secret) {
+      const error = new Error(
+        `The token for profile ${profile} is locked, set GROUPME_PASSPHRASE to unlock it`
+      );
+      error.code = 'TOKEN_LOCKED';
+      throw error;
+    }
+    return deriveKey(secret, salt);
+  };
+
+  return {
+    name: 'file',
+
+    available: () => true,
+
+    save: (profile, token) => {
+      const saved = {
+        kdf: passphrase() ? 'scrypt' : 'keyfile',
+        salt: crypto.randomBytes(16).toString('base64'),
+        iv: crypto.randomBytes(12).toString('base64'),
+      };
+      const cipher = crypto.createCipheriv(
+        ALGORITHM,
+        keyFor(profile, saved),
+        Buffer.from(saved.iv, 'base64')
+      );
+      // Tied to the profile, so one profile's token can't be copied over another's
+      cipher.setAAD(Buffer.from(profile));
+      const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+      return {
+        ...saved,
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      };
+    },
+
+    load: (profile, saved) => {
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        keyFor(profile, saved),
+        Buffer.from(saved.iv, 'base64')
+      );
+      decipher.setAAD(Buffer.from(profile));
+      decipher.setAuthTag(Buffer.from(saved.tag, 'base64'));
+
+      try {
+        return Buffer.concat([
+          decipher.update(Buffer.from(saved.data, 'base64')),
+          decipher.final(),
+        ]).toString('utf8');
+      } catch (error) {
+        throw new Error(
+          saved.kdf === 'keyfile'
+            ? `Couldn't decrypt the token for profile ${profile}, ${keyFile} has changed. Save the token again`
+            : `Couldn't decrypt the token for profile ${profile}, is GROUPME_PASSPHRASE right?`
+        );
+      }
+    },
+
+    // Nothing is kept outside the database
+    remove: () => {},
+  };
+}
@@ -0,0 +1,288 @@
+import path from 'path';
+import chalk from 'chalk';
+import db, { DATA_DIR } from '../db';
+import { createFileStore } from './file';
+import { createKeyringStore } from './keyring';
+
+/**
+ * Where GroupMe tokens are kept. Each token belongs to a named profile, e.g.
+ * 'personal', 'team' and 'archive', one of which is in use. Tokens never go in
+ * the database in plain text, and only masked ones are shown. Every store provides:
+ *
+ *   name                    Remembered with the profile, to find its token again
+ *   available()             Whether the store works on this machine
+ *   save(profile, token)    Keeps a token, returns what to remember in the database (may be null)
+ *   load(profile, saved)    The token back, throws when it can't be read
+ *   remove(profile, saved)  Forgets a token
+ *
+ * Built in are:
+ *
+ *   keyring   The operating system's keychain: Keychain on macOS, the Secret Service on Linux
+ *   file      Encrypted in the database under GROUPME_PASSPHRASE, or a key file in data/
+ *
+ * GROUPME_TOKEN_STORE picks the store for new tokens, otherwise it's the keyring
+ * when there is one and the file store when there isn't.
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME = /^[\w.-]{1,40}$/;
+
+// Given with unlockTokens, wins over GROUPME_PASSPHRASE
+let passphrase = null;
+
+const stores = {
+  keyring: createKeyringStore(),
+  file: createFileStore({
+    keyFile: path.join(DATA_DIR, 'token.key'),
+    passphrase: () => passphrase || process.env.GROUPME_PASSPHRASE || null,
+  }),
+};
+
+let upgraded = false;
+
+/**
+ * Add a store, or replace a built in one
+ *
+ * @param {Object} store
+ */
+export function addTokenStore(store) {
+  stores[store.name] = store;
+}
+
+/**
+ * Unlock tokens saved under a passphrase
+ *
+ * @param {String} value
+ */
+export function unlockTokens(value) {
+  passphrase = value;
+}
+
+/**
+ * Whether a profile name can be used
+ *
+ * @param {String} name
+ * @returns {Boolean}
+ */
+export function isProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME.test(name);
+}
+
+/**
+ * Throw for a profile name that can't be used
+ *
+ * @param {String} name
+ */
+function checkProfileName(name) {
+  if (!isProfileName(name)) {
+    throw new Error('Profile names are up to 40 letters, digits, dots, dashes and underscores');
+  }
+}
+
+/**
+ * A token as it's safe to show: all but the last four characters hidden
+ *
+ * @param {String} token
+ * @returns {String}
+ */
+export function maskToken(token) {
+  if (!token) {
+    return '';
+  }
+  return token.length > 12 ? `${'*'.repeat(8)}${token.slice(-4)}` : '*'.repeat(8);
+}
+
+/**
+ * The store new tokens go in
+ *
+ * @returns {Object}
+ */
+function storeForNewTokens() {
+  const wanted = process.env.GROUPME_TOKEN_STORE;
+  if (wanted) {
+    if (!stores[wanted]) {
+      throw new Error(
+        `Unknown GROUPME_TOKEN_STORE ${wanted}, choose from: ${Object.keys(stores).join(', ')}`
+      );
+    }
+    return stores[wanted];
+  }
+  return stores.keyring.available() ? stores.keyring : stores.file;
+}
+
+/**
+ * The store a profile's token is in
+ *
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function storeOf(profile) {
+  const store = stores[profile.store];
+  if (!store) {
+    throw new Error(`The token is in a ${profile.store} store, which isn't set up here`);
+  }
+  return store;
+}
+
+/**
+ * Versions before profiles kept the token in plain text, move it into the default profile
+ */
+function upgradePlaintextToken() {
+  if (upgraded) {
+    return;
+  }
+  upgraded = true;
+
+  const token = db.getPlaintextToken();
+  if (token) {
+    saveToken(token, DEFAULT_PROFILE);
+    db.deletePlaintextToken();
+    console.log(
+      chalk.green(
+        `Moved your saved token into the ${DEFAULT_PROFILE} profile, it's no longer kept in plain text`
+      )
+    );
+  }
+}
+
+/**
+ * Store a token under a profile
+ *
+ * @param {String} token
+ * @param {String} name
+ */
+function saveToken(token, name) {
+  const existing = db.getProfile(name);
+  let store = storeForNewTokens();
+  let saved;
+
+  try {
+    saved = store.save(name, token);
+  } catch (error) {
+    if (store === stores.file) {
+      throw error;
+    }
+    console.log(
+      chalk.yellow(
+        `Couldn't save the token in the ${store.name} store (${error.message}), encrypting it into the database instead`
+      )
+    );
+    store = stores.file;
+    saved = store.save(name, token);
+  }
+
+  // Moved to another store, don't leave a copy behind in the old one
+  if (existing && existing.store !== store.name) {
+    forget(name, existing);
+  }
+
+  db.setProfile(name, {
+    store: store.name,
+    saved,
+    masked: maskToken(token),
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Take a token out of its store, a store that can't be reached is only warned about
+ *
+ * @param {String} name
+ * @param {Object} profile
+ */
+function forget(name, profile) {
+  try {
+    storeOf(profile).remove(name, profile.saved);
+  } catch (error) {
+    console.log(
+      chalk.yellow(
+        `Couldn't remove the token for profile ${name} from the ${profile.store} store: ${error.message}`
+      )
+    );
+  }
+}
+
+/**
+ * The profile whose token is used when none is given
+ *
+ * @returns {String}
+ */
+export function getActiveProfile() {
+  upgradePlaintextToken();
+  return db.getActiveProfile() || DEFAULT_PROFILE;
+}
+
+/**
+ * Use a profile's token from now on, it doesn't need to have one yet
+ *
+ * @param {String} name
+ */
+export function useProfile(name) {
+  checkProfileName(name);
+  db.setActiveProfile(name);
+}
+
+/**
+ * Every profile with a token, with the token masked
+ *
+ * @returns {Array} { name, store, token, active, updatedAt }
+ */
+export function listProfiles() {
+  const active = getActiveProfile();
+  const profiles = db.getProfiles();
+
+  return Object.keys(profiles)
+    .sort()
+    .map((name) => ({
+      name,
+      store: profiles[name].store,
+      token: profiles[name].masked,
+      active: name === active,
+      updatedAt: profiles[name].updatedAt,
+    }));
+}
+
+/**
+ * Grab a profile's token
+ *
+ * @param {String} name Defaults to the active profile
+ * @returns {String} The token, empty when the profile has none
+ */
+export function getToken(name = getActiveProfile()) {
+  upgradePlaintextToken();
+  const profile = db.getProfile(name);
+  return profile ? storeOf(profile).load(name, profile.saved) : '';
+}
+
+/**
+ * Save a profile's token, creating the profile if need be
+ *
+ * @param {String} token
+ * @param {String} name Defaults to the active profile
+ */
+export function setToken(token, name = getActiveProfile()) {
+  checkProfileName(name);
+  if (!token || !token.trim()) {
+    throw new Error('Token is required');
+  }
+  saveToken(token.trim(), name);
+}
+
+/**
+ * Nuke a profile's token, and the profile with it
+ *
+ * @param {String} name Defaults to the active profile
+ * @returns {Boolean} Whether there was such a profile
+ */
+export function deleteToken(name = getActiveProfile()) {
+  const profile = db.getProfile(name);
+  if (!profile) {
+    return false;
+  }
+
+  forget(name, profile);
+  db.deleteProfile(name);
+  return true;
+}
@@ -0,0 +1,152 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+// What tokens are filed under in the keychain, with the profile name as the account
+const SERVICE = 'groupme-gallery-downloader';
+
+// The keychain may ask to be unlocked, that shouldn't hang an unattended run for good
+const KEYRING_TIMEOUT = 30000;
+
+/**
+ * Whether a command can be run
+ *
+ * @param {String} command
+ * @returns {Boolean}
+ */
+function onPath(command) {
+  return (process.env.PATH || '')
+    .split(path.delimiter)
+    .some((dir) => dir && fs.existsSync(path.join(dir, command)));
+}
+
+/**
+ * Run a keychain tool, the token goes in over stdin so it never shows up in a process listing
+ *
+ * @param {String} command
+ * @param {Array} args
+ * @param {String} input
+ * @returns {String} What the tool printed
+ */
+function run(command, args, input = '') {
+  return execFileSync(command, args, {
+    input,
+    encoding: 'utf8',
+    timeout: KEYRING_TIMEOUT,
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * macOS Keychain, through the `security` tool. Its exit code 44 means no such item.
+ */
+const macKeychain = {
+  available: () => process.platform === 'darwin' && onPath('security'),
+
+  get: (account) => {
+    try {
+      return run('security', ['find-generic-password', '-s', SERVICE, '-a', account, '-w']).trim();
+    } catch (error) {
+      if (error.status === 44) return '';
+      throw error;
+    }
+  },
+
+  // Interactive mode reads the command from stdin, rather than taking the token as an argument.
+  // It's one quoted line, so anything that could end the quotes or the line is turned away
+  set: (account, token) => {
+    if (/["\\\u0000-\u001f\u007f]/.test(account + token)) {
+      throw new Error(
+        'The keychain only takes tokens and profile names without quotes, backslashes or line breaks'
+      );
+    }
+    run(
+      'security',
+      ['-i'],
+      `add-generic-password -U -s "${SERVICE}" -a "${account}" -w "${token}"\n`
+    );
+  },
+
+  remove: (account) => {
+    try {
+      run('security', ['delete-generic-password', '-s', SERVICE, '-a', account]);
+    } catch (error) {
+      if (error.status !== 44) throw error;
+    }
+  },
+};
+
+/**
+ * The Secret Service (GNOME Keyring, KWallet, KeePassXC ...), through libsecret's `secret-tool`.
+ * It needs a desktop session, so it's not there over SSH or in cron.
+ */
+const secretService = {
+  available: () =>
+    process.platform === 'linux' && !!process.env.DBUS_SESSION_BUS_ADDRESS && onPath('secret-tool'),
+
+  get: (account) => {
+    try {
+      return run('secret-tool', ['lookup', 'service', SERVICE, 'account', account]).trim();
+    } catch (error) {
+      // lookup exits with 1 and prints nothing when there's no such item
+      if (error.status === 1 && !error.stderr) return '';
+      throw error;
+    }
+  },
+
+  set: (account, token) => {
+    run(
+      'secret-tool',
+      ['store', '--label', `GroupMe token (${account})`, 'service', SERVICE, 'account', account],
+      token
+    );
+  },
+
+  remove: (account) => {
+    run('secret-tool', ['clear', 'service', SERVICE, 'account', account]);
+  },
+};
+
+/**
+ * Tokens kept in the operating system's keychain, nothing but the profile
+ * name goes in the database
+ *
+ * @returns {Object} Token store, see ./index
+ */
+export function createKeyringStore() {
+  const find = () => [macKeychain, secretService].find((candidate) => candidate.available());
+
+  // E.g. a token saved from the desktop, read by a cron job that has no session to reach it through
+  const keychain = () => {
+    const found = find();
+    if (!found) {
+      throw new Error(
+        'No keychain can be reached from here, it takes macOS or a Linux desktop session'
+      );
+    }
+    return found;
+  };
+
+  return {
+    name: 'keyring',
+
+    available: () => !!find(),
+
+    save: (profile, token) => {
+      keychain().set(profile, token);
+      return null;
+    },
+
+    load: (profile) => {
+      const token = keychain().get(profile);
+      if (!token) {
+        throw new Error(`The keychain has no token for profile ${profile}, save it again`);
+      }
+      return token;
+    },
+
+    remove: (profile) => {
+      keychain().remove(profile);
+    },
+  };
+}
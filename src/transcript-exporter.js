@@ -0,0 +1,324 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import stream from 'stream';
+import util from 'util';
+import chalk from 'chalk';
+import { format } from 'date-fns';
+import db from './db';
+import { attachmentToMediaItem, newerMessageId } from './media-list-builder';
+import { getManifestKey } from './manifest';
+import { getCreatedDate } from './media-organizer';
+
+/**
+ * Supported transcript formats
+ *   - json: newline-delimited JSON, one raw API message per line
+ *   - html: a self-contained page with the downloaded media inline
+ *   - txt:  a plain-text log
+ *
+ * The JSON file is always written, it's what later incremental syncs merge
+ * their new messages into so the other formats never lose older history.
+ */
+export const TRANSCRIPT_FORMATS = ['json', 'html', 'txt'];
+
+const pipeline = util.promisify(stream.pipeline);
+
+const TRANSCRIPT_DIR = 'transcript';
+const FILE_NAMES = {
+  json: 'transcript.ndjson',
+  html: 'transcript.html',
+  txt: 'transcript.txt',
+};
+
+/**
+ * Escape text for HTML
+ *
+ * @param {String} string
+ * @returns {String}
+ */
+function escapeHtml(string) {
+  return String(string || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Read back a previously exported transcript
+ *
+ * @param {String} filePath Path to a transcript.ndjson
+ * @returns {Array} Raw messages
+ */
+function readMessages(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Messages oldest first, each one only once
+ *
+ * @param {Array} messages Raw messages, in any order, possibly repeated
+ * @returns {Array}
+ */
+function sortMessages(messages) {
+  const byId = new Map();
+  messages.forEach(msg => byId.set(msg.id, msg));
+
+  return [...byId.values()].sort((a, b) => {
+    if (a.id === b.id) return 0;
+    return newerMessageId(a.id, b.id) === a.id ? 1 : -1;
+  });
+}
+
+/**
+ * Find where each attachment of a message was downloaded to, relative to the transcript
+ *
+ * @param {Object} msg Raw message
+ * @param {String} groupId GroupMe Conversation ID
+ * @param {Object} transcript Where the transcript is written
+ * @param {String} transcript.dir Folder it's written to locally
+ * @param {String} transcript.key Its key in storage
+ * @param {Object} transcript.storage Storage driver it ends up in
+ * @returns {Array} { att, localPath } for every attachment
+ */
+function resolveAttachments(msg, groupId, { dir, key, storage }) {
+  return (msg.attachments || []).map((att, index) => {
+    const mediaItem = attachmentToMediaItem(att, msg, groupId, index);
+    const entry = mediaItem && db.getManifestEntry(getManifestKey(mediaItem));
+    let localPath = null;
+
+    if (entry && entry.location) {
+      // Only files in the same storage can be linked to
+      localPath = entry.location === storage.location ? path.posix.relative(key, entry.key) : null;
+    } else if (entry && fs.existsSync(entry.path)) {
+      localPath = path.relative(dir, entry.path).split(path.sep).join('/');
+    }
+
+    return { att, mediaItem, localPath };
+  });
+}
+
+/**
+ * Render a single message as a line of plain text
+ *
+ * @param {Object} msg Raw message
+ * @param {Array} attachments Resolved attachments
+ * @returns {String}
+ */
+function renderTextMessage(msg, attachments) {
+  const date = format(getCreatedDate({ created: msg.created_at }), 'yyyy-MM-dd HH:mm');
+  const likes = (msg.favorited_by || []).length;
+  const parts = [`[${date}]`, msg.system ? '*' : `${msg.name}:`];
+
+  if (msg.text) {
+    parts.push(msg.text);
+  }
+
+  attachments.forEach(({ att, mediaItem, localPath }) => {
+    if (att.type === 'reply') {
+      parts.push(`(in reply to ${att.reply_id})`);
+    } else if (mediaItem) {
+      parts.push(`[${att.type}: ${localPath || mediaItem.url}]`);
+    } else if (att.type === 'location') {
+      parts.push(`[location: ${att.name || ''} ${att.lat},${att.lng}]`);
+    }
+  });
+
+  if (likes) {
+    parts.push(`(${likes} ${likes === 1 ? 'like' : 'likes'})`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Render a single attachment as HTML, inline when we have it on disk
+ *
+ * @param {Object} resolved Resolved attachment
+ * @returns {String}
+ */
+function renderHtmlAttachment({ att, mediaItem, localPath }) {
+  if (att.type === 'reply') {
+    return `<a class="reply" href="#msg-${escapeHtml(att.reply_id)}">In reply to an earlier message</a>`;
+  }
+
+  if (att.type === 'location') {
+    return `<div class="location">📍 ${escapeHtml(att.name)} (${escapeHtml(att.lat)}, ${escapeHtml(att.lng)})</div>`;
+  }
+
+  if (!mediaItem) {
+    return '';
+  }
+
+  // Links from messages can be anything, only web addresses are safe to put in the page
+  if (!localPath && !/^https?:\/\//i.test(mediaItem.url)) {
+    return '';
+  }
+
+  const src = escapeHtml(localPath || mediaItem.url);
+
+  switch (att.type) {
+    case 'image':
+    case 'linked_image':
+      return `<a href="${src}"><img src="${src}" alt="" loading="lazy"></a>`;
+    case 'video':
+      return `<video src="${src}" controls preload="none"></video>`;
+    default:
+      return `<a class="file" href="${src}">📎 ${escapeHtml(mediaItem.fileName || 'Shared file')}</a>`;
+  }
+}
+
+/**
+ * Render a single message as HTML
+ *
+ * @param {Object} msg Raw message
+ * @param {Array} attachments Resolved attachments
+ * @returns {String}
+ */
+function renderHtmlMessage(msg, attachments) {
+  const date = format(getCreatedDate({ created: msg.created_at }), 'yyyy-MM-dd HH:mm');
+  const likes = (msg.favorited_by || []).length;
+
+  if (msg.system) {
+    return `<div class="message system" id="msg-${escapeHtml(msg.id)}">
+      <time>${date}</time> ${escapeHtml(msg.text)}
+    </div>`;
+  }
+
+  return `<div class="message" id="msg-${escapeHtml(msg.id)}">
+      <div class="meta"><strong>${escapeHtml(msg.name)}</strong> <time>${date}</time>${
+        likes ? ` <span class="likes">♥ ${likes}</span>` : ''
+      }</div>
+      ${msg.text ? `<div class="text">${escapeHtml(msg.text)}</div>` : ''}
+      ${attachments.map(renderHtmlAttachment).join('\n      ')}
+    </div>`;
+}
+
+/**
+ * Render the whole conversation as a single page with no outside dependencies
+ *
+ * @param {String} title Group name
+ * @param {Array} rendered Rendered messages
+ * @returns {String}
+ */
+function renderHtmlPage(title, rendered) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; color: #333; background: #f5f5f5; }
+    h1 { color: #00aff0; }
+    .message { background: #fff; border-radius: 8px; padding: 10px 15px; margin-bottom: 10px; }
+    .message.system { background: none; color: #666; font-style: italic; text-align: center; }
+    .meta time, .system time { color: #999; font-size: 12px; }
+    .likes { color: #e0245e; font-size: 12px; }
+    .text { white-space: pre-wrap; margin: 5px 0; }
+    img, video { max-width: 100%; max-height: 400px; border-radius: 4px; display: block; margin-top: 5px; }
+    .reply { display: block; font-size: 12px; color: #00aff0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${rendered.join('\n  ')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a group's conversation next to its media. New messages are merged
+ * into whatever an earlier export already wrote. For remote storage the files
+ * are put together in a staging folder and uploaded.
+ *
+ * @param {Object} transcript
+ * @param {String} transcript.groupId GroupMe Conversation ID
+ * @param {String} transcript.groupName Group folder name
+ * @param {String} transcript.displayName Group name as shown in GroupMe
+ * @param {Array} transcript.messages Raw messages from the API
+ * @param {Object} transcript.storage Storage driver the group folders are in
+ * @param {Array} transcript.formats Formats to write, see TRANSCRIPT_FORMATS
+ * @returns {Promise<Array>} Where the written files are
+ */
+export async function exportTranscript({
+  groupId,
+  groupName,
+  displayName,
+  messages,
+  storage,
+  formats = TRANSCRIPT_FORMATS,
+}) {
+  const transcriptKey = `${groupName}/${TRANSCRIPT_DIR}`;
+  const baseDir =
+    storage.localRoot ||
+    path.join(os.tmpdir(), `groupme-gallery-transcript-${process.pid}-${Date.now()}`);
+  const transcriptDir = path.join(baseDir, groupName, TRANSCRIPT_DIR);
+  const jsonPath = path.join(transcriptDir, FILE_NAMES.json);
+  fs.mkdirSync(transcriptDir, { recursive: true });
+
+  try {
+    if (!storage.localRoot && (await storage.exists(`${transcriptKey}/${FILE_NAMES.json}`))) {
+      await pipeline(
+        await storage.read(`${transcriptKey}/${FILE_NAMES.json}`),
+        fs.createWriteStream(jsonPath)
+      );
+    }
+
+    const allMessages = sortMessages([...readMessages(jsonPath), ...messages]);
+    const written = [];
+
+    fs.writeFileSync(jsonPath, allMessages.map(msg => JSON.stringify(msg)).join('\n') + '\n');
+    written.push(jsonPath);
+
+    if (formats.includes('html') || formats.includes('txt')) {
+      const transcript = { dir: transcriptDir, key: transcriptKey, storage };
+      const resolved = allMessages.map(msg => ({
+        msg,
+        attachments: resolveAttachments(msg, groupId, transcript),
+      }));
+
+      if (formats.includes('html')) {
+        const htmlPath = path.join(transcriptDir, FILE_NAMES.html);
+        const rendered = resolved.map(({ msg, attachments }) => renderHtmlMessage(msg, attachments));
+        fs.writeFileSync(htmlPath, renderHtmlPage(displayName || groupName, rendered));
+        written.push(htmlPath);
+      }
+
+      if (formats.includes('txt')) {
+        const txtPath = path.join(transcriptDir, FILE_NAMES.txt);
+        const lines = resolved.map(({ msg, attachments }) => renderTextMessage(msg, attachments));
+        fs.writeFileSync(txtPath, lines.join('\n') + '\n');
+        written.push(txtPath);
+      }
+    }
+
+    if (storage.localRoot) {
+      console.log(chalk.green(`Exported ${allMessages.length} messages to ${transcriptDir}`));
+      return written;
+    }
+
+    const uploaded = [];
+    for (const filePath of written) {
+      const key = `${transcriptKey}/${path.basename(filePath)}`;
+      await storage.write(key, fs.createReadStream(filePath), { size: fs.statSync(filePath).size });
+      uploaded.push(storage.url(key));
+    }
+
+    console.log(chalk.green(`Exported ${allMessages.length} messages to ${storage.url(transcriptKey)}`));
+    return uploaded;
+  } finally {
+    if (!storage.localRoot) {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    }
+  }
+}
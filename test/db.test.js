@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import db, { DATA_DIR } from '../src/db';
+
+const startDir = process.cwd();
+let workDir;
+
+/**
+ * Look inside the database file the way the app left it
+ *
+ * @returns {Object} Read-only connection, closed by the caller
+ */
+function openDbFile() {
+  return new Database(path.join(DATA_DIR, 'groupme.db'), { readonly: true });
+}
+
+/**
+ * Names of the indexes made by the migrations
+ *
+ * @returns {Array}
+ */
+function indexNames() {
+  const file = openDbFile();
+  try {
+    return file
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND name NOT LIKE 'sqlite_%'")
+      .all()
+      .map((row) => row.name);
+  } finally {
+    file.close();
+  }
+}
+
+/**
+ * Leave an older version's data/groups.json to be imported
+ *
+ * @param {Object} data
+ */
+function writeLegacyFile(data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(path.join(DATA_DIR, 'groups.json'), JSON.stringify(data));
+}
+
+beforeEach(() => {
+  // The database lives in ./data, so every test gets a folder of its own
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groupme-dl-db-'));
+  process.chdir(workDir);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.chdir(startDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('migrations', () => {
+  test('bring a new database up to date', () => {
+    db.createDb();
+
+    const file = openDbFile();
+    const version = file.pragma('user_version', { simple: true });
+    file.close();
+
+    expect(version).toBeGreaterThan(0);
+    expect(indexNames()).toEqual(
+      expect.arrayContaining(['failed_group', 'manifest_group', 'media_group_position'])
+    );
+  });
+
+  test('only run the ones a database is missing', () => {
+    db.createDb();
+    db.setManifestEntry('abc', { groupId: '1', path: '/archive/a.jpg', size: 3 });
+
+    // As a database from before the media index was added
+    const file = new Database(path.join(DATA_DIR, 'groupme.db'));
+    const version = file.pragma('user_version', { simple: true });
+    file.exec('DROP INDEX media_group_position');
+    file.pragma(`user_version = ${version - 1}`);
+    file.close();
+
+    db.createDb();
+
+    expect(indexNames()).toContain('media_group_position');
+    expect(db.getManifestEntry('abc')).toEqual({ groupId: '1', path: '/archive/a.jpg', size: 3 });
+  });
+});
+
+describe('legacy import', () => {
+  test('moves groups.json into the database', () => {
+    writeLegacyFile({
+      groups: [{ id: '1', media: [{ url: 'https://i.groupme.com/a', user: 'Jane' }] }],
+      sync: { 1: { lastMessageId: '1005', syncedAt: '2024-01-01T00:00:00.000Z' } },
+      manifest: { abc: { groupId: '1', path: '/archive/a.jpg', size: 3 } },
+      failed: { def: { groupId: '1', firstFailedAt: '2024-01-01T00:00:00.000Z' } },
+    });
+
+    db.createDb();
+
+    expect(db.getMedia('1')).toEqual([{ url: 'https://i.groupme.com/a', user: 'Jane' }]);
+    expect(db.getSyncState('1')).toEqual({
+      lastMessageId: '1005',
+      syncedAt: '2024-01-01T00:00:00.000Z',
+    });
+    expect(Object.keys(db.getManifestEntries('1'))).toEqual(['abc']);
+    expect(Object.keys(db.getFailedItems('1'))).toEqual(['def']);
+    expect(fs.existsSync(path.join(DATA_DIR, 'groups.json'))).toBe(false);
+    expect(fs.existsSync(path.join(DATA_DIR, 'groups.json.imported'))).toBe(true);
+  });
+
+  test('leaves out media without a URL', () => {
+    writeLegacyFile({
+      groups: [{ id: '1', media: [{ url: 'https://i.groupme.com/a' }, { user: 'Jane' }, null] }],
+    });
+
+    expect(() => db.createDb()).not.toThrow();
+    expect(db.getMedia('1')).toEqual([{ url: 'https://i.groupme.com/a' }]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Left out 2 media items'));
+  });
+
+  test('keeps the token out of the imported copy', () => {
+    writeLegacyFile({ token: 'secret-token', groups: [] });
+
+    db.createDb();
+
+    expect(db.getPlaintextToken()).toBe('secret-token');
+    expect(fs.readFileSync(path.join(DATA_DIR, 'groups.json.imported'), 'utf8')).not.toContain(
+      'secret-token'
+    );
+  });
+});
+
+describe('failed downloads', () => {
+  test('are looked up by group', () => {
+    db.createDb();
+    db.setFailedItem('a', { groupId: '1' });
+    db.setFailedItem('b', { groupId: '2' });
+
+    expect(Object.keys(db.getFailedItems('1'))).toEqual(['a']);
+    expect(Object.keys(db.getFailedItems()).sort()).toEqual(['a', 'b']);
+  });
+});
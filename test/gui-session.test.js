@@ -0,0 +1,135 @@
+import { createSession, SESSION_COOKIE } from '../src/gui-session';
+
+/**
+ * Just enough of an Express request for the guard
+ *
+ * @param {Object} fields Overrides, headers are merged
+ * @returns {Object}
+ */
+function makeRequest({ headers, ...fields } = {}) {
+  return {
+    method: 'GET',
+    path: '/api/groups',
+    query: {},
+    ...fields,
+    headers: { host: '127.0.0.1:3456', ...headers },
+  };
+}
+
+/**
+ * Just enough of an Express response to see what the guard answered
+ *
+ * @returns {Object}
+ */
+function makeResponse() {
+  const res = { statusCode: 200, cookies: {} };
+  res.status = (code) => Object.assign(res, { statusCode: code });
+  res.json = (body) => Object.assign(res, { body });
+  res.type = () => res;
+  res.send = (body) => Object.assign(res, { body });
+  res.cookie = (name, value, options) => {
+    res.cookies[name] = { value, options };
+    return res;
+  };
+  res.redirect = (location) => Object.assign(res, { statusCode: 302, location });
+  return res;
+}
+
+/**
+ * Run a request through the session's guard
+ *
+ * @param {Object} session
+ * @param {Object} req
+ * @returns {Object} { res, passed }
+ */
+function guard(session, req) {
+  const res = makeResponse();
+  let passed = false;
+  session.guard(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+describe('GUI session guard', () => {
+  let session;
+
+  beforeEach(() => {
+    session = createSession();
+  });
+
+  test('turns away requests without the secret', () => {
+    const { res, passed } = guard(session, makeRequest());
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toMatch(/Not signed in/);
+  });
+
+  test('swaps the link for a cookie', () => {
+    const { res, passed } = guard(
+      session,
+      makeRequest({ path: '/', query: { key: session.secret } })
+    );
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(302);
+    expect(res.location).toBe('/');
+    expect(res.cookies[SESSION_COOKIE]).toEqual({
+      value: session.secret,
+      options: expect.objectContaining({ httpOnly: true, sameSite: 'strict' }),
+    });
+  });
+
+  test('turns away an old link', () => {
+    const { res } = guard(session, makeRequest({ path: '/', query: { key: 'stale' } }));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatch(/out of date/);
+  });
+
+  test('lets in the cookie and the bearer token', () => {
+    const cookie = `other=1; ${SESSION_COOKIE}=${session.secret}`;
+    const bearer = `Bearer ${session.secret}`;
+
+    expect(guard(session, makeRequest({ headers: { cookie } })).passed).toBe(true);
+    expect(guard(session, makeRequest({ headers: { authorization: bearer } })).passed).toBe(true);
+    expect(guard(session, makeRequest({ headers: { authorization: 'Bearer nope' } })).passed).toBe(
+      false
+    );
+  });
+
+  test('only answers requests addressed to this machine', () => {
+    const headers = { host: 'evil.example:3456', authorization: `Bearer ${session.secret}` };
+    const { res, passed } = guard(session, makeRequest({ headers }));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('only takes changes from its own pages', () => {
+    const authorization = `Bearer ${session.secret}`;
+    const post = (origin) =>
+      guard(session, makeRequest({ method: 'POST', headers: { authorization, origin } }));
+
+    expect(post('http://evil.example').res.statusCode).toBe(403);
+    expect(post('http://127.0.0.1:8080').res.statusCode).toBe(403);
+    expect(post('http://127.0.0.1:3456').passed).toBe(true);
+  });
+
+  test('checks socket.io connections the same way', () => {
+    const allowed = (headers) => {
+      let result;
+      session.allowRequest(makeRequest({ headers }), (error, ok) => {
+        result = ok;
+      });
+      return result;
+    };
+
+    expect(allowed({ cookie: `${SESSION_COOKIE}=${session.secret}` })).toBe(true);
+    expect(allowed({})).toBe(false);
+    expect(
+      allowed({ cookie: `${SESSION_COOKIE}=${session.secret}`, origin: 'http://evil.example' })
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,156 @@
+import apiRequest from '../src/request';
+import { mediaListBuilder, newerMessageId, parseFilters } from '../src/media-list-builder';
+
+jest.mock('../src/request');
+
+const DAY = 24 * 60 * 60;
+const START = Date.parse('2024-01-01T12:00:00Z') / 1000;
+
+/**
+ * Messages one day apart, every one with a photo
+ *
+ * @param {Number} count
+ * @returns {Array} Raw messages, oldest first
+ */
+function makeMessages(count) {
+  return Array.from({ length: count }, (value, index) => ({
+    id: String(1001 + index),
+    name: `User ${index % 2}`,
+    user_id: String(index % 2),
+    created_at: START + index * DAY,
+    favorited_by: index % 3 ? [] : ['7', '8'],
+    attachments: [
+      { type: 'image', url: `https://i.groupme.com/${String(index).padStart(32, 'a')}` },
+    ],
+  }));
+}
+
+/**
+ * Answer API requests from a list of messages, the way GroupMe pages through them
+ *
+ * @param {Array} messages Oldest first
+ */
+function serveMessages(messages) {
+  const respond = (status, response) => ({ status, json: async () => ({ response }) });
+
+  apiRequest.mockImplementation(async (token, endpoint) => {
+    const url = new URL(endpoint, 'https://api.groupme.com/v3/');
+    if (!url.pathname.endsWith('/messages')) {
+      return respond(200, { name: 'Team' });
+    }
+
+    const afterId = url.searchParams.get('after_id');
+    const beforeId = url.searchParams.get('before_id');
+    const limit = Number(url.searchParams.get('limit'));
+    const page = afterId
+      ? messages.filter((msg) => Number(msg.id) > Number(afterId)).slice(0, limit)
+      : messages
+          .filter((msg) => !beforeId || Number(msg.id) < Number(beforeId))
+          .reverse()
+          .slice(0, limit);
+
+    return page.length ? respond(200, { messages: page }) : respond(304);
+  });
+}
+
+describe('newerMessageId', () => {
+  test('compares ids too big for numbers', () => {
+    expect(newerMessageId('171234567890123456789', '99999999999999999999')).toBe(
+      '171234567890123456789'
+    );
+    expect(newerMessageId('1002', '1010')).toBe('1010');
+    expect(newerMessageId(null, '1002')).toBe('1002');
+    expect(newerMessageId(null, null)).toBeNull();
+  });
+});
+
+describe('parseFilters', () => {
+  test('fills in what was left out', () => {
+    expect(parseFilters()).toEqual({
+      since: null,
+      until: null,
+      users: [],
+      excludeUsers: [],
+      minLikes: 0,
+    });
+  });
+
+  test('takes whole days, up to the end of the last one', () => {
+    const { since, until } = parseFilters({ since: '2024-01-08', until: '2024-05-03' });
+    expect(since).toEqual(new Date('2024-01-08T00:00:00'));
+    expect(until).toEqual(new Date('2024-05-03T23:59:59.999'));
+  });
+
+  test('compares posters without case or padding', () => {
+    const filters = parseFilters({ users: [' Jane Doe', '42'], excludeUsers: ['BOB'] });
+    expect(filters.users).toEqual(['jane doe', '42']);
+    expect(filters.excludeUsers).toEqual(['bob']);
+  });
+
+  test.each([
+    [{ since: 'last tuesday' }, /since must be a date/],
+    [{ until: '2024-13-45' }, /until must be a date/],
+    [{ since: '2024-05-03', until: '2024-01-08' }, /since must come before until/],
+    [{ minLikes: -1 }, /whole number/],
+    [{ minLikes: 1.5 }, /whole number/],
+  ])('rejects %p', (filters, message) => {
+    expect(() => parseFilters(filters)).toThrow(message);
+  });
+});
+
+describe('mediaListBuilder', () => {
+  beforeEach(() => {
+    apiRequest.mockReset();
+  });
+
+  test('lists every photo and remembers the newest message', async () => {
+    serveMessages(makeMessages(5));
+    const { media, lastMessageId, groupName } = await mediaListBuilder('token', '1');
+
+    expect(groupName).toBe('Team');
+    expect(media.map((item) => item.messageId)).toEqual(['1005', '1004', '1003', '1002', '1001']);
+    expect(lastMessageId).toBe('1005');
+  });
+
+  test('only lists what matches the filters', async () => {
+    serveMessages(makeMessages(6));
+    const { media } = await mediaListBuilder('token', '1', {
+      filters: { users: ['User 1'], minLikes: 1 },
+    });
+
+    expect(media.map((item) => item.messageId)).toEqual(['1004']);
+  });
+
+  test('picks up after the last message of an earlier sync', async () => {
+    serveMessages(makeMessages(5));
+    const { media, lastMessageId } = await mediaListBuilder('token', '1', { sinceId: '1003' });
+
+    expect(media.map((item) => item.messageId)).toEqual(['1004', '1005']);
+    expect(lastMessageId).toBe('1005');
+  });
+
+  test("doesn't count messages after --until as seen", async () => {
+    const messages = makeMessages(8);
+    serveMessages(messages);
+    const until = new Date((START + 3 * DAY) * 1000);
+
+    const first = await mediaListBuilder('token', '1', { filters: { until } });
+    expect(first.media.map((item) => item.messageId)).toEqual(['1004', '1003', '1002', '1001']);
+    expect(first.lastMessageId).toBe('1004');
+
+    const next = await mediaListBuilder('token', '1', { sinceId: first.lastMessageId });
+    expect(next.media.map((item) => item.messageId)).toEqual(['1005', '1006', '1007', '1008']);
+  });
+
+  test('keeps the cursor where it was when nothing new is in range', async () => {
+    serveMessages(makeMessages(8));
+    const until = new Date((START + 3 * DAY) * 1000);
+    const { media, lastMessageId } = await mediaListBuilder('token', '1', {
+      sinceId: '1004',
+      filters: { until },
+    });
+
+    expect(media).toEqual([]);
+    expect(lastMessageId).toBe('1004');
+  });
+});
@@ -0,0 +1,123 @@
+import path from 'path';
+import {
+  DEFAULT_FILENAME_TEMPLATE,
+  numberFilePath,
+  parseFileNameTemplate,
+  planFilePaths,
+} from '../src/media-organizer';
+
+const HASH_A = '06a398bdf6bd9db15f47a27f72fcecea';
+const HASH_B = '1b2c3d4e5f60718293a4b5c6d7e8f901';
+
+/**
+ * A photo as the media list builder makes them
+ *
+ * @param {Object} fields Overrides
+ * @returns {Object} Media item
+ */
+function photo(fields = {}) {
+  return {
+    type: 'image',
+    url: `https://i.groupme.com/1024x768.jpeg.${HASH_A}`,
+    user: 'Jane',
+    userId: '42',
+    messageId: '1001',
+    created: 1600000000,
+    attachmentIndex: 0,
+    ...fields,
+  };
+}
+
+const options = { baseDir: '/archive', groupName: 'Team', method: 'flat' };
+
+describe('parseFileNameTemplate', () => {
+  test('splits a template into text and tokens', () => {
+    expect(parseFileNameTemplate('[user]-[date:yyyyMMdd].[ext]')).toEqual([
+      { token: 'user', arg: undefined },
+      { text: '-' },
+      { token: 'date', arg: 'yyyyMMdd' },
+      { text: '.' },
+      { token: 'ext', arg: undefined },
+    ]);
+  });
+
+  test('takes the default template', () => {
+    expect(() => parseFileNameTemplate(DEFAULT_FILENAME_TEMPLATE)).not.toThrow();
+  });
+
+  test.each([
+    ['', /cannot be empty/],
+    ['photo.jpg', /has no tokens/],
+    ['[nope].[ext]', /Unknown token \[nope\]/],
+    ['[user]/[hash].[ext]', /invalid characters/],
+    ['[user]:[hash].[ext]', /invalid characters/],
+    ['[seq:four].[ext]', /needs a number/],
+  ])('rejects %p', (template, message) => {
+    expect(() => parseFileNameTemplate(template)).toThrow(message);
+  });
+});
+
+describe('numberFilePath', () => {
+  test('numbers the name before the extension', () => {
+    expect(numberFilePath('/archive/Team/photo.jpg', 2)).toBe('/archive/Team/photo-2.jpg');
+    expect(numberFilePath('Team/notes', 3)).toBe('Team/notes-3');
+  });
+});
+
+describe('planFilePaths', () => {
+  test('places files by the template and layout', () => {
+    const [filePath] = planFilePaths(
+      { ...options, method: 'user', pattern: '[user]-[hash].[ext]' },
+      [photo()]
+    );
+    expect(filePath).toBe(path.join('/archive', 'Team', 'Jane', `Jane-${HASH_A}.jpeg`));
+  });
+
+  test('keeps letters of any script in names', () => {
+    const [filePath] = planFilePaths({ ...options, pattern: '[user]-[hash].[ext]' }, [
+      photo({ user: 'José 李' }),
+    ]);
+    expect(path.basename(filePath)).toBe(`José-李-${HASH_A}.jpeg`);
+  });
+
+  test('turns path separators and dots in names into underscores', () => {
+    const [filePath] = planFilePaths(
+      { ...options, method: 'user', pattern: '[user]-[seq].[ext]' },
+      [photo({ user: '../etc' })]
+    );
+    expect(filePath).toBe(path.join('/archive', 'Team', '___etc', '___etc-1.jpeg'));
+  });
+
+  test('plans the same file listed twice only once', () => {
+    expect(planFilePaths(options, [photo(), photo({ messageId: '1002' })])[1]).toBeNull();
+  });
+
+  test('rejects a template that gives two files the same name', () => {
+    const items = [photo(), photo({ url: `https://i.groupme.com/1024x768.jpeg.${HASH_B}` })];
+    expect(() => planFilePaths({ ...options, pattern: '[user].[ext]' }, items)).toThrow(
+      /gives two different files the same name.*Add \[hash\] or \[messageId\]/
+    );
+  });
+
+  test('numbers a name that already holds another file', () => {
+    const taken = path.join('/archive', 'Team', '1.jpeg');
+    const isTaken = (filePath) => filePath === taken;
+
+    expect(planFilePaths({ ...options, pattern: '[seq].[ext]' }, [photo()], isTaken)).toEqual([
+      path.join('/archive', 'Team', '1-2.jpeg'),
+    ]);
+  });
+
+  test("doesn't hand out a numbered name twice", () => {
+    const items = [
+      photo({ user: 'Jo' }),
+      photo({ user: 'Jo-2', url: `https://i.groupme.com/1024x768.jpeg.${HASH_B}` }),
+    ];
+    const isTaken = (filePath) => path.basename(filePath) === 'Jo.jpeg';
+
+    expect(planFilePaths({ ...options, pattern: '[user].[ext]' }, items, isTaken)).toEqual([
+      path.join('/archive', 'Team', 'Jo-2.jpeg'),
+      path.join('/archive', 'Team', 'Jo-2-2.jpeg'),
+    ]);
+  });
+});